@@ -0,0 +1,213 @@
+// Battle votes through the real routes, including hundreds fired at the same
+// pair at once. Vote transactions need a replica set: by default a one-node
+// set is started with mongodb-memory-server (the first run downloads mongod).
+// To use an existing one instead, point MONGODB_TEST_URI at it (its database
+// is dropped), e.g.
+//   MONGODB_TEST_URI=mongodb://localhost:27017/jeetmash-test?replicaSet=rs0 npm test
+
+const crypto = require('crypto');
+
+const VOTERS = 300;
+const TIMEOUT = 120 * 1000;
+const SETUP_TIMEOUT = 10 * 60 * 1000;
+
+describe('battle votes', () => {
+  let replSet;
+  let mongoose;
+  let jwt;
+  let httpServer;
+  let baseUrl;
+  let profiles;
+
+  const request = async (path, { token, ...options } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      }
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Users with a live session and an access token, as the wallet login issues
+  const createVoters = async (count) => {
+    const User = mongoose.model('User');
+    const Session = mongoose.model('Session');
+
+    const users = await User.insertMany(Array.from({ length: count }, (_, i) => ({
+      walletAddress: `voter-${i}`,
+      displayName: `Voter ${i}`
+    })));
+    const sessions = await Session.insertMany(users.map(user => ({
+      userId: user._id,
+      refreshTokenHash: 'unused',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    })));
+
+    return users.map((user, i) => jwt.sign(
+      { userId: user._id, role: 'user', sessionId: sessions[i]._id },
+      process.env.JWT_SECRET,
+      { expiresIn: '15m' }
+    ));
+  };
+
+  // A ticket like /battles/next issues, for any pair of ids
+  const battleTicket = (token, profileIds) => jwt.sign({
+    type: 'battle',
+    profileIds: profileIds.map(String),
+    voterId: jwt.decode(token).userId
+  }, process.env.JWT_SECRET, { expiresIn: '10m', jwtid: crypto.randomBytes(12).toString('hex') });
+
+  const castVote = (token, { winnerId, loserId, ticket }) => request('/votes/battle', {
+    token,
+    method: 'POST',
+    body: JSON.stringify({ winnerId, loserId, ticket })
+  });
+
+  beforeAll(async () => {
+    let uri = process.env.MONGODB_TEST_URI;
+    if (!uri) {
+      const { MongoMemoryReplSet } = require('mongodb-memory-server');
+      replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+      uri = replSet.getUri('jeetmash-test');
+    }
+
+    process.env.NODE_ENV = 'test';
+    process.env.MONGODB_URI = uri;
+    process.env.JWT_SECRET = 'concurrency-test-secret';
+
+    mongoose = require('mongoose');
+    jwt = require('jsonwebtoken');
+    const app = require('../server');
+
+    if (mongoose.connection.readyState !== 1) {
+      await new Promise((resolve, reject) => {
+        mongoose.connection.once('open', resolve);
+        mongoose.connection.once('error', reject);
+      });
+    }
+    await mongoose.connection.db.dropDatabase();
+    // Unique indexes (one vote per ticket) must exist before the votes land
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+    profiles = await mongoose.model('Profile').insertMany([
+      { username: 'LeftProfile', handle: '@left' },
+      { username: 'RightProfile', handle: '@right' }
+    ]);
+
+    await new Promise(resolve => {
+      httpServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}/api`;
+  }, SETUP_TIMEOUT);
+
+  afterAll(async () => {
+    if (httpServer) await new Promise(resolve => httpServer.close(resolve));
+    if (mongoose?.connection.readyState === 1) {
+      await mongoose.connection.db.dropDatabase();
+      await mongoose.disconnect();
+    }
+    if (replSet) await replSet.stop();
+  }, TIMEOUT);
+
+  test(`${VOTERS} simultaneous votes on one pair are all counted`, async () => {
+    const tokens = await createVoters(VOTERS);
+
+    // Every voter gets a ticket for the only pair there is
+    const tickets = await Promise.all(tokens.map(async token => {
+      const { status, body } = await request('/battles/next', { token });
+      expect(status).toBe(200);
+      return body.ticket;
+    }));
+
+    const [left, right] = profiles.map(profile => profile._id.toString());
+    const winners = tokens.map((_, i) => (i % 3 === 0 ? right : left));
+
+    const results = await Promise.all(tokens.map((token, i) => castVote(token, {
+      winnerId: winners[i],
+      loserId: winners[i] === left ? right : left,
+      ticket: tickets[i]
+    })));
+
+    results.forEach(({ status, body }) => {
+      expect(status).toBe(200);
+      expect(body.success).toBe(true);
+    });
+
+    const Profile = mongoose.model('Profile');
+    const [leftProfile, rightProfile] = await Promise.all([Profile.findById(left), Profile.findById(right)]);
+    const leftWins = winners.filter(id => id === left).length;
+    const rightWins = VOTERS - leftWins;
+
+    expect(leftProfile.votes).toBe(leftWins);
+    expect(leftProfile.battleWins).toBe(leftWins);
+    expect(leftProfile.battleLosses).toBe(rightWins);
+    expect(rightProfile.votes).toBe(rightWins);
+    expect(rightProfile.battleWins).toBe(rightWins);
+    expect(rightProfile.battleLosses).toBe(leftWins);
+
+    // Both profiles always share a K-factor here, so Elo moves are zero-sum
+    expect(leftProfile.rating + rightProfile.rating).toBeCloseTo(profiles[0].rating + profiles[1].rating, 6);
+
+    await expect(mongoose.model('Vote').countDocuments()).resolves.toBe(VOTERS);
+  }, TIMEOUT);
+
+  test('replaying a used ticket does not add a vote', async () => {
+    const [token] = await createVoters(1);
+    const { body: battle } = await request('/battles/next', { token });
+    const [winnerId, loserId] = battle.profiles.map(profile => profile._id);
+    const vote = () => castVote(token, { winnerId, loserId, ticket: battle.ticket });
+
+    const Vote = mongoose.model('Vote');
+    const before = await Vote.countDocuments();
+    const statuses = (await Promise.all(Array.from({ length: 20 }, vote))).map(result => result.status);
+
+    expect(statuses.filter(status => status === 200)).toHaveLength(1);
+    await expect(Vote.countDocuments()).resolves.toBe(before + 1);
+  }, TIMEOUT);
+
+  test('a vote for a profile that no longer exists is a 404 and changes nothing', async () => {
+    const [token] = await createVoters(1);
+    const Profile = mongoose.model('Profile');
+    const [gone] = await Profile.insertMany([{ username: 'GoneProfile', handle: '@gone' }]);
+    const ticket = battleTicket(token, [profiles[0]._id, gone._id]);
+    await Profile.deleteOne({ _id: gone._id });
+
+    const Vote = mongoose.model('Vote');
+    const before = await Promise.all([Profile.findById(profiles[0]._id).lean(), Vote.countDocuments()]);
+
+    const { status, body } = await castVote(token, { winnerId: profiles[0]._id, loserId: gone._id, ticket });
+    expect(status).toBe(404);
+    expect(body.error).toBe('Profile not found');
+
+    // The transaction rolled back: no vote and no half-applied win
+    const after = await Promise.all([Profile.findById(profiles[0]._id).lean(), Vote.countDocuments()]);
+    expect(after).toEqual(before);
+  }, TIMEOUT);
+
+  test('a duplicate ticket that slips past the pre-check is rejected by the unique index', async () => {
+    const [token] = await createVoters(1);
+    const [winnerId, loserId] = profiles.map(profile => profile._id.toString());
+    const ticket = battleTicket(token, [winnerId, loserId]);
+
+    await expect(castVote(token, { winnerId, loserId, ticket })).resolves.toMatchObject({ status: 200 });
+
+    const Profile = mongoose.model('Profile');
+    const Vote = mongoose.model('Vote');
+    const before = await Promise.all([Profile.find({}).sort({ _id: 1 }).lean(), Vote.countDocuments()]);
+
+    // Lose the race: the pre-check sees no vote, the insert hits error 11000
+    const exists = jest.spyOn(Vote, 'exists').mockResolvedValueOnce(null);
+    try {
+      const { status, body } = await castVote(token, { winnerId, loserId, ticket });
+      expect(status).toBe(400);
+      expect(body.error).toBe('Already voted for this battle');
+    } finally {
+      exists.mockRestore();
+    }
+
+    const after = await Promise.all([Profile.find({}).sort({ _id: 1 }).lean(), Vote.countDocuments()]);
+    expect(after).toEqual(before);
+  }, TIMEOUT);
+});
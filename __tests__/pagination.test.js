@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { parseLimit, encodeCursor, decodeCursor, keysetFilter, toPage } = require('../pagination');
+
+const { ObjectId } = mongoose.Types;
+
+// Just enough of MongoDB's matching for the filters keysetFilter builds:
+// missing fields equal null, and $gt/$lt only compare values of one type
+const plain = (value) => (value instanceof ObjectId ? value.toHexString() : value ?? null);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(doc, branch));
+
+  const value = plain(doc[key]);
+  if (condition === null || condition instanceof ObjectId || typeof condition !== 'object') {
+    return value === plain(condition);
+  }
+
+  return Object.entries(condition).every(([op, operand]) => {
+    operand = plain(operand);
+    if (op === '$ne') return value !== operand;
+    if (value === null || operand === null || typeof value !== typeof operand) return false;
+    return op === '$gt' ? value > operand : value < operand;
+  });
+});
+
+// MongoDB's order: null (and missing) first, ties broken by _id
+const sortBy = (docs, field, direction) => [...docs].sort((a, b) => {
+  const [x, y] = [plain(a[field]), plain(b[field])];
+  let order = 0;
+  if (x !== y) order = x === null ? -1 : y === null ? 1 : (x < y ? -1 : 1);
+  if (order === 0) order = a._id.toHexString() < b._id.toHexString() ? -1 : 1;
+  return order * direction;
+});
+
+// Walk every page the way /api/profiles does, round-tripping each cursor
+const paginate = (docs, field, type, direction, limit) => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const filter = keysetFilter(field, type, direction, decodeCursor(cursor));
+    const items = sortBy(docs.filter(doc => matches(doc, filter)), field, direction).slice(0, limit + 1);
+    const page = toPage(items, limit, doc => ({ value: doc[field] ?? null, id: doc._id }));
+    seen.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor && seen.length <= docs.length);
+  return seen;
+};
+
+const PROFILES = [
+  { followers: '12K' },
+  {},
+  { followers: '1.2M' },
+  { followers: null },
+  { followers: '12K' },
+  {},
+  { followers: '850' }
+].map(profile => ({ _id: new ObjectId(), ...profile }));
+
+describe('keysetFilter', () => {
+  test.each([
+    ['ascending', 1],
+    ['descending', -1]
+  ])('pages %s through profiles missing the sort field without skipping any', (_, direction) => {
+    [1, 2, 3].forEach(limit => {
+      const ids = paginate(PROFILES, 'followers', 'string', direction, limit).map(doc => doc._id);
+      expect(ids).toEqual(sortBy(PROFILES, 'followers', direction).map(doc => doc._id));
+    });
+  });
+
+  test('a null position ascending is followed by the remaining nulls and every set value', () => {
+    const id = new ObjectId();
+    const filter = keysetFilter('followers', 'string', 1, { value: null, id: id.toHexString() });
+
+    expect(filter).toEqual({ $or: [{ followers: null, _id: { $gt: id } }, { followers: { $ne: null } }] });
+  });
+
+  test('rejects sort values of the wrong type and ids that are not ObjectIds', () => {
+    const id = new ObjectId().toHexString();
+    const invalid = [
+      ['votes', 'number', { value: { $ne: 1 }, id }],
+      ['votes', 'number', { value: '5', id }],
+      ['followers', 'string', { value: ['12K'], id }],
+      ['createdAt', 'date', { value: 'yesterday', id }],
+      ['votes', 'number', { value: 5, id: { $gt: '' } }],
+      ['votes', 'number', { value: 5, id: 'abcdefghijkl' }]
+    ];
+
+    invalid.forEach(([field, type, position]) => {
+      expect(() => keysetFilter(field, type, -1, position)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  test('parses ISO date positions into dates', () => {
+    const id = new ObjectId();
+    const filter = keysetFilter('createdAt', 'date', -1, { value: '2026-01-01T00:00:00.000Z', id: id.toHexString() });
+
+    expect(filter.$or[0].createdAt.$lt).toEqual(new Date('2026-01-01T00:00:00.000Z'));
+  });
+});
+
+describe('cursors', () => {
+  test('round-trip through encodeCursor and decodeCursor', () => {
+    const position = { sort: 'votes', direction: -1, value: 12, id: new ObjectId().toHexString() };
+    expect(decodeCursor(encodeCursor(position))).toEqual(position);
+    expect(decodeCursor(undefined)).toBeNull();
+  });
+
+  test('reject cursors that are not encoded objects', () => {
+    ['not-base64-json', encodeCursor([1]), encodeCursor('text'), encodeCursor(null)].forEach(cursor => {
+      expect(() => decodeCursor(cursor)).toThrow('Invalid cursor');
+    });
+  });
+
+  test('parseLimit clamps to 1..max', () => {
+    expect(parseLimit(undefined)).toBe(50);
+    expect(parseLimit('0', 20)).toBe(20);
+    expect(parseLimit('-5')).toBe(1);
+    expect(parseLimit('500')).toBe(100);
+    expect(parseLimit('30', 10, 25)).toBe(25);
+  });
+});
@@ -0,0 +1,35 @@
+const { nameGrams, searchGrams, minSharedGrams, scoreProfile } = require('../search');
+
+const PROFILE = { username: 'CryptoDegenKing', handle: '@cryptodegen', twitterHandle: 'cryptodegenking' };
+
+const sharedGrams = (query, profile) => {
+  const grams = new Set(searchGrams(profile));
+  return nameGrams(query).filter(gram => grams.has(gram)).length;
+};
+
+describe('search grams', () => {
+  test('pads names so short queries have grams too', () => {
+    expect(nameGrams('@Ab')).toEqual(['  a', ' ab']);
+    expect(nameGrams('')).toEqual([]);
+    expect(nameGrams(undefined)).toEqual([]);
+  });
+
+  test('collects the unique grams of every name', () => {
+    const grams = searchGrams(PROFILE);
+    expect(new Set(grams).size).toBe(grams.length);
+    expect(grams).toEqual(expect.arrayContaining(nameGrams('CryptoDegenKing')));
+  });
+
+  test('every typo match passes the gram prefilter', () => {
+    ['cryptodegn', 'crytpo', 'cyrpto', 'kryptodegen', 'cryptodegenkign', 'degen'].forEach(query => {
+      expect(scoreProfile(query, PROFILE)).toBeGreaterThan(0);
+      expect(sharedGrams(query, PROFILE)).toBeGreaterThanOrEqual(minSharedGrams(query));
+    });
+  });
+
+  test('unrelated queries are filtered out', () => {
+    ['moonboy', 'solanawhale'].forEach(query => {
+      expect(sharedGrams(query, PROFILE)).toBeLessThan(minSharedGrams(query));
+    });
+  });
+});
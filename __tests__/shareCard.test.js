@@ -0,0 +1,54 @@
+const CARD = {
+  username: 'CryptoDegenKing',
+  handle: '@cryptodegen',
+  avatar: null,
+  chadPercentage: 60,
+  jeetPercentage: 40,
+  rank: 12
+};
+
+// shareCard.js loads the rasterizer once, so each case gets a fresh copy
+const loadShareCard = (resvgFactory) => {
+  jest.resetModules();
+  jest.doMock('@resvg/resvg-js', resvgFactory, { virtual: true });
+  return require('../shareCard');
+};
+
+afterEach(() => {
+  jest.dontMock('@resvg/resvg-js');
+  jest.restoreAllMocks();
+});
+
+describe('share card image', () => {
+  test('is rasterized to PNG when @resvg/resvg-js is installed', () => {
+    const render = jest.fn(() => ({ asPng: () => Buffer.from('png') }));
+    const Resvg = jest.fn(() => ({ render }));
+    const { shareCardFormat, renderProfileCardImage } = loadShareCard(() => ({ Resvg }));
+
+    expect(shareCardFormat()).toBe('png');
+    expect(renderProfileCardImage(CARD)).toEqual({ type: 'image/png', body: Buffer.from('png') });
+    expect(Resvg.mock.calls[0][0]).toContain('CryptoDegenKing');
+  });
+
+  test('falls back to SVG when @resvg/resvg-js is missing', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { shareCardFormat, renderProfileCardImage, renderProfileMeta } = loadShareCard(() => {
+      throw new Error("Cannot find module '@resvg/resvg-js'");
+    });
+
+    expect(shareCardFormat()).toBe('svg');
+    const card = renderProfileCardImage(CARD, 'png');
+    expect(card.type).toBe('image/svg+xml; charset=utf-8');
+    expect(card.body).toMatch(/^<svg /);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+
+    const meta = renderProfileMeta({
+      title: 'CryptoDegenKing on JEETMASH',
+      description: '60% Chad',
+      url: 'https://jeetmash.test/profile/CryptoDegenKing',
+      image: 'https://jeetmash.test/api/og/CryptoDegenKing.svg',
+      imageFormat: shareCardFormat()
+    });
+    expect(meta).toContain('<meta property="og:image:type" content="image/svg+xml">');
+  });
+});
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const http = require('http');
+const { createTwitterOAuthProvider, createTwitterLinkFlow, hashState, OAUTH_STATE_TTL } = require('../twitterOAuth');
+
+const CLIENT_ID = 'test-client';
+const REDIRECT_URI = 'http://localhost:3001/api/auth/twitter/callback';
+const ACCOUNT = { id: '1234567890', username: 'CryptoDegenKing' };
+
+// Minimal stand-in for X's authorization server. /authorize "approves" right
+// away and redirects back with a code bound to the PKCE challenge; /token only
+// hands out an access token for the matching code_verifier.
+const startMockAuthorizationServer = () => {
+  const codes = new Map();
+  const tokens = new Set();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      const params = url.searchParams;
+      if (params.get('client_id') !== CLIENT_ID || params.get('code_challenge_method') !== 'S256') {
+        res.writeHead(400).end();
+        return;
+      }
+
+      const code = crypto.randomBytes(8).toString('hex');
+      codes.set(code, params.get('code_challenge'));
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.search = new URLSearchParams({ code, state: params.get('state') }).toString();
+      res.writeHead(302, { Location: redirect.toString() }).end();
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const form = new URLSearchParams(body);
+        const challenge = codes.get(form.get('code'));
+        const verifierHash = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+        codes.delete(form.get('code'));
+
+        res.setHeader('Content-Type', 'application/json');
+        if (!challenge || challenge !== verifierHash || form.get('redirect_uri') !== REDIRECT_URI) {
+          res.writeHead(400).end(JSON.stringify({ error: 'invalid_grant' }));
+          return;
+        }
+
+        const token = crypto.randomBytes(8).toString('hex');
+        tokens.add(token);
+        res.end(JSON.stringify({ access_token: token, token_type: 'bearer' }));
+      });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/users/me') {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      res.setHeader('Content-Type', 'application/json');
+      if (!tokens.has(token)) {
+        res.writeHead(401).end(JSON.stringify({ title: 'Unauthorized' }));
+        return;
+      }
+      res.end(JSON.stringify({ data: ACCOUNT }));
+      return;
+    }
+
+    res.writeHead(404).end();
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+};
+
+// In-memory version of the OAuthState store
+const createStateStore = () => {
+  const pending = new Map();
+  return {
+    pending,
+    save: async (link) => { pending.set(link.state, link); },
+    consume: async (state) => {
+      const link = pending.get(state) || null;
+      pending.delete(state);
+      return link;
+    }
+  };
+};
+
+// Follow the authorize URL like a browser would and return the callback query
+const authorize = async (authorizeUrl) => {
+  const response = await fetch(authorizeUrl, { redirect: 'manual' });
+  expect(response.status).toBe(302);
+  const callback = new URL(response.headers.get('location'));
+  return Object.fromEntries(callback.searchParams);
+};
+
+describe('X account linking (PKCE)', () => {
+  let server;
+  let provider;
+  let states;
+  let clock;
+  let flow;
+
+  beforeAll(async () => {
+    server = await startMockAuthorizationServer();
+    const base = `http://127.0.0.1:${server.address().port}`;
+    provider = createTwitterOAuthProvider({
+      clientId: CLIENT_ID,
+      redirectUri: REDIRECT_URI,
+      authorizeUrl: `${base}/authorize`,
+      tokenUrl: `${base}/token`,
+      userInfoUrl: `${base}/users/me`
+    });
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    states = createStateStore();
+    clock = Date.now();
+    flow = createTwitterLinkFlow({ provider, states, now: () => clock });
+  });
+
+  // Start a link and follow it through X: the callback query plus the state
+  // hash the starting browser holds in its cookie
+  const startAndAuthorize = async (userId) => {
+    const { url, stateHash } = await flow.start(userId);
+    return { callback: await authorize(url), stateHash };
+  };
+
+  test('start stores a pending link and returns a PKCE authorize URL', async () => {
+    const { url, stateHash } = await flow.start('user-1');
+    const params = new URL(url).searchParams;
+
+    expect(params.get('response_type')).toBe('code');
+    expect(params.get('client_id')).toBe(CLIENT_ID);
+    expect(params.get('redirect_uri')).toBe(REDIRECT_URI);
+    expect(params.get('code_challenge_method')).toBe('S256');
+
+    const link = states.pending.get(params.get('state'));
+    expect(link.userId).toBe('user-1');
+    expect(link.expiresAt.getTime()).toBe(clock + OAUTH_STATE_TTL);
+    expect(params.get('code_challenge')).toBe(
+      crypto.createHash('sha256').update(link.codeVerifier).digest('base64url')
+    );
+    expect(stateHash).toBe(hashState(params.get('state')));
+  });
+
+  test('callback with the issued state and code links the account', async () => {
+    const { callback, stateHash } = await startAndAuthorize('user-1');
+
+    await expect(flow.complete(callback, stateHash)).resolves.toEqual({
+      status: 'authorized',
+      userId: 'user-1',
+      account: ACCOUNT
+    });
+    expect(states.pending.size).toBe(0);
+  });
+
+  test('callback with a state that was never issued is rejected', async () => {
+    const { callback } = await startAndAuthorize('user-1');
+    const unknownState = crypto.randomBytes(16).toString('hex');
+
+    await expect(flow.complete({ ...callback, state: unknownState }, hashState(unknownState)))
+      .resolves.toEqual({ status: 'expired' });
+    await expect(flow.complete({ ...callback, state: [callback.state] }, hashState(callback.state)))
+      .resolves.toEqual({ status: 'mismatch' });
+  });
+
+  test('callback finished in a browser that did not start the link is rejected', async () => {
+    // The attacker starts a link and sends the authorize URL to someone else
+    const { callback } = await startAndAuthorize('attacker');
+    const { stateHash: victimHash } = await flow.start('victim');
+
+    await expect(flow.complete(callback, null)).resolves.toEqual({ status: 'mismatch' });
+    await expect(flow.complete(callback, victimHash)).resolves.toEqual({ status: 'mismatch' });
+    expect(states.pending.has(callback.state)).toBe(true);
+  });
+
+  test('a code issued for another link fails the PKCE check', async () => {
+    const first = await startAndAuthorize('user-1');
+    const second = await startAndAuthorize('user-2');
+
+    // user-2's state with user-1's code: the verifiers don't match
+    await expect(flow.complete({ code: first.callback.code, state: second.callback.state }, second.stateHash))
+      .rejects.toThrow('invalid_grant');
+  });
+
+  test('callback after the state expired is rejected', async () => {
+    const { callback, stateHash } = await startAndAuthorize('user-1');
+    clock += OAUTH_STATE_TTL + 1;
+
+    await expect(flow.complete(callback, stateHash)).resolves.toEqual({ status: 'expired' });
+  });
+
+  test('replaying a completed callback is rejected', async () => {
+    const { callback, stateHash } = await startAndAuthorize('user-1');
+
+    await expect(flow.complete(callback, stateHash)).resolves.toMatchObject({ status: 'authorized' });
+    await expect(flow.complete(callback, stateHash)).resolves.toEqual({ status: 'expired' });
+  });
+
+  test('a denied authorization consumes the state without a token exchange', async () => {
+    const exchangeCode = jest.fn();
+    const mockProvider = { ...provider, exchangeCode };
+    flow = createTwitterLinkFlow({ provider: mockProvider, states, now: () => clock });
+
+    const { callback: { state }, stateHash } = await startAndAuthorize('user-1');
+
+    await expect(flow.complete({ state, error: 'access_denied' }, stateHash)).resolves.toEqual({ status: 'denied' });
+    expect(exchangeCode).not.toHaveBeenCalled();
+    expect(states.pending.size).toBe(0);
+  });
+});
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { decodeBase58, buildLoginMessage, verifyWalletSignature } = require('../walletAuth');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Reference encoder, only needed to turn generated keys into wallet addresses
+const encodeBase58 = (buffer) => {
+  let value = BigInt(`0x${buffer.toString('hex') || '0'}`);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of buffer) {
+    if (byte !== 0) break;
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+};
+
+// A fresh ed25519 keypair and its Solana-style base58 address
+const createWallet = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const rawPublicKey = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  return { address: encodeBase58(rawPublicKey), privateKey };
+};
+
+const sign = (wallet, message) => {
+  return crypto.sign(null, Buffer.from(message, 'utf8'), wallet.privateKey).toString('base64');
+};
+
+const loginMessageFor = (wallet) => buildLoginMessage({
+  domain: 'jeetmash.test',
+  walletAddress: wallet.address,
+  nonce: crypto.randomBytes(16).toString('hex'),
+  issuedAt: new Date('2026-01-01T00:00:00Z'),
+  expiresAt: new Date('2026-01-01T00:05:00Z')
+});
+
+describe('decodeBase58', () => {
+  test('decodes known vectors', () => {
+    expect(decodeBase58('2g')).toEqual(Buffer.from('a'));
+    expect(decodeBase58('2NEpo7TZRRrLZSi2U')).toEqual(Buffer.from('Hello World!'));
+  });
+
+  test('maps each leading 1 to a zero byte', () => {
+    expect(decodeBase58('1')).toEqual(Buffer.from([0]));
+    expect(decodeBase58('111')).toEqual(Buffer.from([0, 0, 0]));
+    expect(decodeBase58('1112')).toEqual(Buffer.from([0, 0, 0, 1]));
+  });
+
+  test('decodes the all-zero 32-byte key', () => {
+    expect(decodeBase58('1'.repeat(32))).toEqual(Buffer.alloc(32));
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    ['0', 'O', 'I', 'l', '+', '/', ' ', '2g='].forEach(input => {
+      expect(decodeBase58(input)).toBeNull();
+    });
+  });
+
+  test('rejects empty and non-string input', () => {
+    [undefined, null, '', 42, {}, ['2g']].forEach(input => {
+      expect(decodeBase58(input)).toBeNull();
+    });
+  });
+
+  test('round-trips random keys, including ones with leading zero bytes', () => {
+    for (let i = 0; i < 50; i++) {
+      const key = crypto.randomBytes(32);
+      if (i % 10 === 0) key[0] = 0;
+      expect(decodeBase58(encodeBase58(key))).toEqual(key);
+    }
+  });
+});
+
+describe('verifyWalletSignature', () => {
+  test('accepts a valid signature', () => {
+    const wallet = createWallet();
+    const message = loginMessageFor(wallet);
+
+    expect(verifyWalletSignature(wallet.address, message, sign(wallet, message))).toBe(true);
+  });
+
+  test('rejects a forged signature', () => {
+    const wallet = createWallet();
+    const message = loginMessageFor(wallet);
+
+    const tampered = Buffer.from(sign(wallet, message), 'base64');
+    tampered[0] ^= 0xff;
+
+    expect(verifyWalletSignature(wallet.address, message, tampered.toString('base64'))).toBe(false);
+    expect(verifyWalletSignature(wallet.address, message, crypto.randomBytes(64).toString('base64'))).toBe(false);
+  });
+
+  test('rejects a signature made by a different wallet', () => {
+    const wallet = createWallet();
+    const attacker = createWallet();
+    const message = loginMessageFor(wallet);
+
+    expect(verifyWalletSignature(wallet.address, message, sign(attacker, message))).toBe(false);
+  });
+
+  test('rejects a valid signature over a different message', () => {
+    const wallet = createWallet();
+    const signature = sign(wallet, loginMessageFor(wallet));
+
+    expect(verifyWalletSignature(wallet.address, loginMessageFor(wallet), signature)).toBe(false);
+  });
+
+  test('rejects malformed addresses and signatures', () => {
+    const wallet = createWallet();
+    const message = loginMessageFor(wallet);
+    const signature = sign(wallet, message);
+
+    expect(verifyWalletSignature('not-base58-0OIl', message, signature)).toBe(false);
+    expect(verifyWalletSignature(encodeBase58(crypto.randomBytes(31)), message, signature)).toBe(false);
+    expect(verifyWalletSignature(wallet.address, message, signature.slice(0, 40))).toBe(false);
+    expect(verifyWalletSignature(wallet.address, message, null)).toBe(false);
+    expect(verifyWalletSignature(wallet.address, null, signature)).toBe(false);
+  });
+});
@@ -1,14 +1,20 @@
 // api-service.js
 
+// Auth routes that must not trigger a refresh-and-retry on 401: they either
+// are the refresh itself or don't use the access token
+const NO_REFRESH_ENDPOINTS = ['/auth/refresh', '/auth/wallet', '/auth/nonce', '/auth/logout'];
+
 class APIService {
     constructor() {
 this.baseURL = 'http://localhost:3001/api';
         this.token = localStorage.getItem('jeetmash_token');
+        this.refreshToken = localStorage.getItem('jeetmash_refresh_token');
+        this.refreshPromise = null;
         this.currentUser = null;
     }
 
     // Helper method for API calls
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, isRetry = false) {
         try {
             const headers = {
                 'Content-Type': 'application/json',
@@ -24,6 +30,14 @@ this.baseURL = 'http://localhost:3001/api';
                 ...options,
                 headers
             });
+
+            // Access token expired: refresh the session and retry once
+            const path = endpoint.split('?')[0];
+            if (response.status === 401 && !isRetry && this.refreshToken && !NO_REFRESH_ENDPOINTS.includes(path)) {
+                if (await this.refreshSession()) {
+                    return this.request(endpoint, options, true);
+                }
+            }
             
             const data = await response.json();
             
@@ -33,7 +47,10 @@ this.baseURL = 'http://localhost:3001/api';
             
             return data;
         } catch (error) {
-            console.error('API Error:', error);
+            // Cancelled requests are expected, not failures
+            if (error.name !== 'AbortError') {
+                console.error('API Error:', error);
+            }
             throw error;
         }
     }
@@ -44,16 +61,50 @@ this.baseURL = 'http://localhost:3001/api';
         localStorage.setItem('jeetmash_token', token);
     }
 
+    // Set refresh token
+    setRefreshToken(refreshToken) {
+        this.refreshToken = refreshToken;
+        localStorage.setItem('jeetmash_refresh_token', refreshToken);
+    }
+
     // Clear auth
     clearAuth() {
         this.token = null;
+        this.refreshToken = null;
         this.currentUser = null;
         localStorage.removeItem('jeetmash_token');
+        localStorage.removeItem('jeetmash_refresh_token');
+    }
+
+    // Rotate the refresh token for a new access token (concurrent callers share one request)
+    async refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.request('/auth/refresh', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            }).then(response => {
+                this.setToken(response.token);
+                this.setRefreshToken(response.refreshToken);
+                return true;
+            }).catch(() => {
+                this.clearAuth();
+                return false;
+            }).finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+
+        return this.refreshPromise;
     }
 
     // ==================== AUTH ====================
 
-async authenticateWallet(walletAddress) {
+    // Get a single-use nonce and the message the wallet has to sign with it
+    async getLoginNonce(walletAddress) {
+        return this.request(`/auth/nonce?wallet=${encodeURIComponent(walletAddress)}`);
+    }
+
+async authenticateWallet(walletAddress, signature, message) {
     try {
         const response = await this.request('/auth/wallet', {
             method: 'POST',
@@ -62,13 +113,14 @@ async authenticateWallet(walletAddress) {
             },
             body: JSON.stringify({ 
                 walletAddress,
-                signature: 'dummy-signature', // In production, get actual signature
-                message: 'Sign in to JEETMASH'
+                signature,
+                message
             })
         });
 
         if (response.token) {
             this.setToken(response.token);
+            this.setRefreshToken(response.refreshToken);
             this.currentUser = response.user;
         }
 
@@ -79,6 +131,44 @@ async authenticateWallet(walletAddress) {
     }
 }
 
+    // Get the signed-in user (cached until auth changes)
+    async getCurrentUser() {
+        if (!this.token) return null;
+        if (!this.currentUser) {
+            this.currentUser = await this.request('/auth/me');
+        }
+        return this.currentUser;
+    }
+
+    // Get the X authorization URL for linking an account. The response sets
+    // the cookie the callback checks, so it has to be accepted cross-origin.
+    async startTwitterLink() {
+        return this.request('/auth/twitter/start', { credentials: 'include' });
+    }
+
+    // End this device's session on the server
+    async logout() {
+        try {
+            if (this.refreshToken) {
+                await this.request('/auth/logout', {
+                    method: 'POST',
+                    body: JSON.stringify({ refreshToken: this.refreshToken })
+                });
+            }
+        } finally {
+            this.clearAuth();
+        }
+    }
+
+    // End every session of the current user
+    async logoutAll() {
+        try {
+            return await this.request('/auth/logout-all', { method: 'POST' });
+        } finally {
+            this.clearAuth();
+        }
+    }
+
     // ==================== PROFILES ====================
 
     async getProfiles(params = {}) {
@@ -86,6 +176,12 @@ async authenticateWallet(walletAddress) {
         return this.request(`/profiles?${queryString}`);
     }
 
+    // Pass an AbortSignal to cancel a stale search
+    async searchProfiles(query, limit = 10, signal) {
+        const queryString = new URLSearchParams({ q: query, limit }).toString();
+        return this.request(`/profiles/search?${queryString}`, { signal });
+    }
+
     async getProfile(id) {
         return this.request(`/profiles/${id}`);
     }
@@ -94,12 +190,76 @@ async authenticateWallet(walletAddress) {
         return this.request(`/profiles/username/${encodeURIComponent(username)}`);
     }
 
+    async getProfileHistory(id, bucket = 'hour') {
+        return this.request(`/profiles/${id}/history?bucket=${bucket}`);
+    }
+
+    async claimProfile(profileId) {
+        return this.request(`/profiles/${profileId}/claim`, {
+            method: 'POST'
+        });
+    }
+
+    async updateProfileBio(profileId, bio) {
+        return this.request(`/profiles/${profileId}/bio`, {
+            method: 'PUT',
+            body: JSON.stringify({ bio })
+        });
+    }
+
+    // Admin only
+    async createProfile(profileData) {
+        return this.request('/profiles', {
+            method: 'POST',
+            body: JSON.stringify(profileData)
+        });
+    }
+
+    async updateProfile(profileId, updates) {
+        return this.request(`/profiles/${profileId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    async archiveProfile(profileId, reason) {
+        return this.request(`/profiles/${profileId}`, {
+            method: 'DELETE',
+            body: JSON.stringify({ reason })
+        });
+    }
+
+    async restoreProfile(profileId) {
+        return this.request(`/profiles/${profileId}/restore`, {
+            method: 'POST'
+        });
+    }
+
+    // ==================== SUBMISSIONS ====================
+
+    async submitProfile(handle, bio, evidenceLinks) {
+        return this.request('/submissions', {
+            method: 'POST',
+            body: JSON.stringify({ handle, bio, evidenceLinks })
+        });
+    }
+
+    async getMySubmissions() {
+        return this.request('/submissions/mine');
+    }
+
     // ==================== VOTING ====================
 
-    async submitBattleVote(winnerId, loserId) {
+    // Get the next matched pair plus the ticket needed to vote on it
+    async getNextBattle(previousIds = []) {
+        const queryString = new URLSearchParams({ previous: previousIds.join(',') }).toString();
+        return this.request(`/battles/next?${queryString}`);
+    }
+
+    async submitBattleVote(winnerId, loserId, ticket) {
         return this.request('/votes/battle', {
             method: 'POST',
-            body: JSON.stringify({ winnerId, loserId })
+            body: JSON.stringify({ winnerId, loserId, ticket })
         });
     }
 
@@ -110,10 +270,18 @@ async authenticateWallet(walletAddress) {
         });
     }
 
+    async withdrawProfileVote(profileId) {
+        return this.request(`/votes/profile/${profileId}`, {
+            method: 'DELETE'
+        });
+    }
+
     // ==================== COMMENTS ====================
 
-    async getComments(profileId) {
-        return this.request(`/comments/profile/${profileId}`);
+    // Pass the previous page's nextCursor to get the next page
+    async getComments(profileId, cursor) {
+        const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+        return this.request(`/comments/profile/${profileId}${query}`);
     }
 
     async postComment(profileId, text) {
@@ -123,16 +291,68 @@ async authenticateWallet(walletAddress) {
         });
     }
 
+    async getReplies(commentId) {
+        return this.request(`/comments/${commentId}/replies`);
+    }
+
+    async postReply(commentId, text) {
+        return this.request(`/comments/${commentId}/replies`, {
+            method: 'POST',
+            body: JSON.stringify({ text })
+        });
+    }
+
+    async editComment(commentId, text) {
+        return this.request(`/comments/${commentId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ text })
+        });
+    }
+
+    async deleteComment(commentId) {
+        return this.request(`/comments/${commentId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async reportComment(commentId, reason, details) {
+        return this.request(`/comments/${commentId}/report`, {
+            method: 'POST',
+            body: JSON.stringify({ reason, details })
+        });
+    }
+
     async toggleCommentLike(commentId) {
         return this.request(`/comments/${commentId}/like`, {
             method: 'POST'
         });
     }
 
+    // ==================== REALTIME ====================
+
+    // Server-sent events: vote, verdict, comment, comment-update, leaderboard, stats
+    openStream() {
+        return new EventSource(`${this.baseURL}/stream`);
+    }
+
+    // Total votes, votes in the last minute and voters active in the last 5 minutes
+    async getLiveStats() {
+        return this.request('/stats/live');
+    }
+
     // ==================== LEADERBOARD ====================
 
-    async getLeaderboard(period = 'all', limit = 50) {
-        return this.request(`/leaderboard?period=${period}&limit=${limit}`);
+    async getLeaderboard(period = 'all', limit = 50, cursor) {
+        const params = new URLSearchParams({ period, limit });
+        if (cursor) params.set('cursor', cursor);
+        return this.request(`/leaderboard?${params.toString()}`);
+    }
+
+    // Stored rankings for a past day (YYYY-MM-DD)
+    async getLeaderboardHistory(date, period) {
+        const params = new URLSearchParams({ date });
+        if (period) params.set('period', period);
+        return this.request(`/leaderboard/history?${params.toString()}`);
     }
 
     // ==================== PROFILE LOOKUP ====================
@@ -144,9 +364,8 @@ async authenticateWallet(walletAddress) {
             let profile = await this.getProfileByUsername(profileData.username);
             return profile;
         } catch (error) {
-            // Profile doesn't exist, you might want to create it
+            // Profile doesn't exist; only admins can create profiles (createProfile)
             console.log('Profile not found:', profileData.username);
-            // For now, return null - you could add a create profile endpoint
             return null;
         }
     }
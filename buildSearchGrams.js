@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { searchGrams } = require('./search');
+
+// Typo-tolerant search only looks at profiles with name grams. New and edited
+// profiles get them on save; run once after deploying to fill in the rest:
+//   node buildSearchGrams.js
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jeetmash');
+
+const BATCH_SIZE = 500;
+
+async function buildSearchGrams() {
+  try {
+    await mongoose.connection.asPromise();
+    const profiles = mongoose.connection.collection('profiles');
+    const cursor = profiles.find({}, { projection: { username: 1, handle: 1, twitterHandle: 1 } });
+
+    let updated = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const result = await profiles.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+      batch = [];
+    };
+
+    for await (const profile of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: profile._id },
+          update: { $set: { searchGrams: searchGrams(profile) } }
+        }
+      });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`✅ Built search grams for ${updated} profiles`);
+  } catch (error) {
+    console.error('❌ Error building search grams:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+    console.log('🔐 Database connection closed');
+  }
+}
+
+// Run backfill
+buildSearchGrams();
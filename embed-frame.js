@@ -0,0 +1,27 @@
+// embed-frame.js - Runs inside /embed/* pages. Reports the page height to the
+// embedding site so embed.js can size the iframe to fit.
+(function() {
+    if (window.parent === window) return;
+
+    let lastHeight = 0;
+
+    function postHeight() {
+        const height = Math.ceil(document.documentElement.getBoundingClientRect().height);
+        if (height === lastHeight) return;
+
+        lastHeight = height;
+        // Height isn't sensitive, and the embedding origin isn't known here
+        window.parent.postMessage({ type: 'jeetmash:resize', height }, '*');
+    }
+
+    if (window.ResizeObserver) {
+        new ResizeObserver(postHeight).observe(document.body);
+    } else {
+        window.addEventListener('resize', postHeight);
+    }
+
+    // Avatars change the height as they load
+    document.querySelectorAll('img').forEach(img => img.addEventListener('load', postHeight));
+    window.addEventListener('load', postHeight);
+    postHeight();
+})();
@@ -0,0 +1,67 @@
+// embed.js - Loader for JEETMASH widgets on other sites:
+//
+//   <div class="jeetmash-embed" data-widget="battle"></div>
+//   <div class="jeetmash-embed" data-widget="profile" data-username="CryptoDegenKing"></div>
+//   <script async src="https://<jeetmash host>/embed.js"></script>
+//
+// Each placeholder becomes an iframe that grows to fit its content. Widgets
+// added later can be mounted with window.JeetmashEmbed.mount().
+(function() {
+    if (window.JeetmashEmbed) {
+        window.JeetmashEmbed.mount();
+        return;
+    }
+
+    const script = document.currentScript;
+    const origin = script ? new URL(script.src).origin : window.location.origin;
+    const MIN_HEIGHT = 120;
+    const MAX_HEIGHT = 1200;
+    const frames = [];
+
+    function widgetPath(placeholder) {
+        const { widget, username } = placeholder.dataset;
+        if (widget === 'battle') return '/embed/battle';
+        if (widget === 'profile' && username) return `/embed/profile/${encodeURIComponent(username)}`;
+        return null;
+    }
+
+    function mount(root = document) {
+        root.querySelectorAll('.jeetmash-embed:not([data-mounted])').forEach(placeholder => {
+            const path = widgetPath(placeholder);
+            if (!path) {
+                console.warn('JEETMASH embed: unknown widget', placeholder);
+                return;
+            }
+
+            const iframe = document.createElement('iframe');
+            iframe.src = origin + path;
+            iframe.title = 'JEETMASH';
+            iframe.loading = 'lazy';
+            iframe.setAttribute('scrolling', 'no');
+            iframe.style.cssText = 'width: 100%; max-width: 480px; height: 260px; border: 0; display: block;';
+
+            placeholder.setAttribute('data-mounted', '');
+            placeholder.replaceChildren(iframe);
+            frames.push(iframe);
+        });
+    }
+
+    // Resize messages from embed-frame.js inside each iframe
+    window.addEventListener('message', (event) => {
+        if (event.origin !== origin || event.data?.type !== 'jeetmash:resize') return;
+
+        const iframe = frames.find(frame => frame.contentWindow === event.source);
+        const height = Number(event.data.height);
+        if (!iframe || !Number.isFinite(height)) return;
+
+        iframe.style.height = `${Math.min(Math.max(height, MIN_HEIGHT), MAX_HEIGHT)}px`;
+    });
+
+    window.JeetmashEmbed = { mount };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => mount());
+    } else {
+        mount();
+    }
+})();
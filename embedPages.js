@@ -0,0 +1,134 @@
+// embedPages.js - Lightweight iframe pages for third-party sites (/embed/*).
+// Plain server-rendered HTML: no app bundle, no wallet. Voting links open the
+// main site in a new tab, where the visitor signs in.
+
+const { escapeXml } = require('./shareCard');
+
+const EMBED_STYLES = `
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body {
+    background: #181a1f;
+    color: #ffffff;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 14px;
+  }
+  a { color: inherit; text-decoration: none; }
+  .embed { padding: 16px; border: 1px solid rgba(255, 0, 0, 0.3); border-radius: 12px; background: #15171c; }
+  .embed-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 14px; }
+  .embed-logo { font-weight: 700; letter-spacing: 1px; }
+  .embed-logo span { color: #ff0000; }
+  .embed-title { color: #bebdbd; font-size: 12px; }
+  .embed-profiles { display: flex; gap: 12px; }
+  .embed-profile { flex: 1; display: flex; flex-direction: column; align-items: center; gap: 6px; text-align: center; min-width: 0; }
+  .embed-avatar {
+    width: 72px; height: 72px; border-radius: 50%; border: 2px solid #ff0000;
+    display: flex; align-items: center; justify-content: center;
+    font-size: 36px; overflow: hidden; background: #1a1c21;
+  }
+  .embed-avatar img { width: 100%; height: 100%; object-fit: cover; }
+  .embed-name { font-weight: 700; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .embed-handle, .embed-meta { color: #807f7f; font-size: 12px; }
+  .embed-versus { align-self: center; color: #ff0000; font-weight: 700; }
+  .embed-bar { display: flex; height: 8px; border-radius: 4px; overflow: hidden; margin: 14px 0 6px; background: #ff0000; }
+  .embed-bar-fill { background: #22c55e; }
+  .embed-bar-labels { display: flex; justify-content: space-between; font-size: 12px; font-weight: 600; }
+  .embed-bar-labels .chad { color: #22c55e; }
+  .embed-bar-labels .jeet { color: #ff0000; }
+  .embed-actions { display: flex; gap: 8px; margin-top: 14px; }
+  .embed-button {
+    flex: 1; padding: 8px 12px; border-radius: 6px; border: 1px solid #ff0000;
+    text-align: center; font-weight: 600; transition: background 0.2s;
+  }
+  .embed-button:hover { background: rgba(255, 0, 0, 0.15); }
+  .embed-footer { margin-top: 12px; text-align: center; color: #807f7f; font-size: 11px; }
+  .embed-footer a { text-decoration: underline; }
+`;
+
+const layout = (title, content) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeXml(title)}</title>
+  <style>${EMBED_STYLES}</style>
+</head>
+<body>
+  <div class="embed">
+    <div class="embed-header">
+      <a class="embed-logo" href="/" target="_blank" rel="noopener"><span>JEET</span>MASH</a>
+      <div class="embed-title">${escapeXml(title)}</div>
+    </div>
+    ${content}
+  </div>
+  <script src="/embed-frame.js" defer></script>
+</body>
+</html>`;
+
+// Only https images; anything else falls back to the emoji
+const avatar = (profile) => {
+  const image = /^https:\/\//i.test(profile.image || '')
+    ? `<img src="${escapeXml(profile.image)}" alt="" referrerpolicy="no-referrer">`
+    : escapeXml(profile.emoji || '👤');
+  return `<div class="embed-avatar">${image}</div>`;
+};
+
+const profileLink = (profile) => `/profile/${encodeURIComponent(profile.username)}`;
+
+const splitBar = (leftPercent, leftLabel, rightLabel) => `
+    <div class="embed-bar"><div class="embed-bar-fill" style="width: ${leftPercent}%"></div></div>
+    <div class="embed-bar-labels"><span class="chad">${escapeXml(leftLabel)}</span><span class="jeet">${escapeXml(rightLabel)}</span></div>`;
+
+// Two profiles and how their battle votes split. Voting happens on the main
+// site; "New battle" reloads the frame with another pair.
+const renderBattleEmbed = ([left, right]) => {
+  const total = (left.votes || 0) + (right.votes || 0);
+  const leftPercent = total > 0 ? Math.round((left.votes || 0) / total * 100) : 50;
+
+  const card = (profile) => `
+      <a class="embed-profile" href="${profileLink(profile)}" target="_blank" rel="noopener">
+        ${avatar(profile)}
+        <div class="embed-name">${escapeXml(profile.username)}</div>
+        <div class="embed-handle">${escapeXml(profile.handle || '')}</div>
+        <div class="embed-meta">${Math.round(profile.rating)} rating</div>
+      </a>`;
+
+  return layout('Who\'s the bigger Jeet?', `
+    <div class="embed-profiles">
+      ${card(left)}
+      <div class="embed-versus">VS</div>
+      ${card(right)}
+    </div>
+    ${splitBar(leftPercent, `${leftPercent}%`, `${100 - leftPercent}%`)}
+    <div class="embed-actions">
+      <a class="embed-button" href="/" target="_blank" rel="noopener">Vote on JEETMASH ↗</a>
+      <a class="embed-button" href="/embed/battle">New battle</a>
+    </div>`);
+};
+
+// One profile's Chad/Jeet verdict split and all-time rank. The frame can't
+// vote, so the button says where the vote happens: the profile page.
+const renderProfileEmbed = (profile, { rank, chadPercentage, jeetPercentage }) => {
+  const link = profileLink(profile);
+
+  return layout(`${profile.username} on JEETMASH`, `
+    <a class="embed-profile" href="${link}" target="_blank" rel="noopener">
+      ${avatar(profile)}
+      <div class="embed-name">${escapeXml(profile.username)}</div>
+      <div class="embed-handle">${escapeXml(profile.handle || '')}</div>
+      <div class="embed-meta">${rank ? `Rank #${rank}` : 'Unranked'} · ${(profile.chadVotes || 0) + (profile.jeetVotes || 0)} verdicts</div>
+    </a>
+    ${splitBar(chadPercentage, `${chadPercentage}% Chad`, `${jeetPercentage}% Jeet`)}
+    <div class="embed-actions">
+      <a class="embed-button" href="${link}" target="_blank" rel="noopener">Vote Chad or Jeet on JEETMASH ↗</a>
+    </div>`);
+};
+
+const renderEmbedError = (message) => layout('JEETMASH', `
+    <div class="embed-footer">${escapeXml(message)} · <a href="/" target="_blank" rel="noopener">Open JEETMASH</a></div>`);
+
+module.exports = {
+  renderBattleEmbed,
+  renderProfileEmbed,
+  renderEmbedError
+};
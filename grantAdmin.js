@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { ROLES } = require('./roles');
+
+// Grants a role (admin by default) to a wallet address, creating the user if it
+// hasn't signed in yet. Used to bootstrap the first admin:
+//   node grantAdmin.js <walletAddress> [role]
+// The new role is carried in access tokens issued after this runs; the user
+// picks it up on their next token refresh or sign-in.
+
+const [walletAddress, role = 'admin'] = process.argv.slice(2);
+
+if (!walletAddress || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(walletAddress)) {
+  console.error('Usage: node grantAdmin.js <walletAddress> [role]');
+  process.exit(1);
+}
+
+if (!ROLES.includes(role)) {
+  console.error(`❌ Unknown role "${role}". Expected one of: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jeetmash');
+
+// Define schemas (simplified versions)
+const userSchema = new mongoose.Schema({
+  walletAddress: { type: String, unique: true, sparse: true },
+  displayName: { type: String },
+  avatar: { type: String },
+  role: { type: String, enum: ROLES, default: 'user' },
+  createdAt: { type: Date, default: Date.now },
+  lastActive: { type: Date, default: Date.now }
+});
+
+const User = mongoose.model('User', userSchema);
+
+async function grantRole() {
+  try {
+    const existing = await User.findOne({ walletAddress });
+    const previousRole = existing ? existing.role : null;
+
+    const user = await User.findOneAndUpdate(
+      { walletAddress },
+      {
+        $set: { role },
+        $setOnInsert: {
+          displayName: `${walletAddress.slice(0, 4)}...${walletAddress.slice(-4)}`,
+          avatar: `https://avatars.dicebear.com/api/jdenticon/${walletAddress}.svg`
+        }
+      },
+      { new: true, upsert: true }
+    );
+
+    if (previousRole) {
+      console.log(`✅ ${walletAddress}: ${previousRole} → ${user.role}`);
+    } else {
+      console.log(`✅ Created user ${user._id} for ${walletAddress} with role ${user.role}`);
+    }
+  } catch (error) {
+    console.error('❌ Error granting role:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+    console.log('🔐 Database connection closed');
+  }
+}
+
+// Run grant
+grantRole();
@@ -0,0 +1,93 @@
+// pagination.js - Page sizes and opaque keyset cursors for list endpoints
+
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Page size from the query string, clamped to 1..max
+const parseLimit = (value, fallback = DEFAULT_PAGE_SIZE, max = MAX_PAGE_SIZE) => {
+  return Math.min(Math.max(parseInt(value) || fallback, 1), max);
+};
+
+// Cursors are opaque to clients: base64url JSON naming where the page ended
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const invalidCursor = () => {
+  const error = new Error('Invalid cursor');
+  error.statusCode = 400;
+  return error;
+};
+
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (position && typeof position === 'object' && !Array.isArray(position)) return position;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw invalidCursor();
+};
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?Z$/;
+
+// A cursor's sort value as the sort field's type ('number', 'string' or
+// 'date'). Anything else is rejected so a crafted cursor can't put query
+// operators into the filter.
+const parseCursorValue = (value, type) => {
+  if (type === 'number' && typeof value === 'number' && Number.isFinite(value)) return value;
+  // Profiles without the field sort as null
+  if (type === 'string' && (typeof value === 'string' || value === null)) return value;
+  if (type === 'date' && typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  throw invalidCursor();
+};
+
+// Filter for the documents after `position` ({ value, id }) when sorted by
+// `field` (holding `type` values) then _id, both in `direction` (1 or -1)
+const keysetFilter = (field, type, direction, position) => {
+  if (!position) return {};
+  if (typeof position.id !== 'string' || !OBJECT_ID_PATTERN.test(position.id)) {
+    throw invalidCursor();
+  }
+
+  const op = direction === 1 ? '$gt' : '$lt';
+  const value = parseCursorValue(position.value, type);
+  const id = new mongoose.Types.ObjectId(position.id);
+  const sameValue = { [field]: value, _id: { [op]: id } };
+
+  // Missing values sort as null, before everything else, and $gt/$lt never
+  // match null: a null position is followed by every set value when
+  // ascending, and a set value by the nulls when descending
+  if (value === null) {
+    return direction === 1 ? { $or: [sameValue, { [field]: { $ne: null } }] } : sameValue;
+  }
+
+  const after = [{ [field]: { [op]: value } }, sameValue];
+  if (direction === -1) after.push({ [field]: null });
+  return { $or: after };
+};
+
+// Trim a page fetched with limit + 1 and build the cursor for the next one
+const toPage = (items, limit, positionOf) => {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: page,
+    nextCursor: hasMore ? encodeCursor(positionOf(page[page.length - 1])) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  toPage
+};
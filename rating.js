@@ -0,0 +1,39 @@
+// rating.js - Elo ratings for profile battles
+
+const DEFAULT_RATING = 1500;
+
+// New profiles move faster until they've had enough battles to settle
+const PROVISIONAL_BATTLES = 30;
+const K_PROVISIONAL = 40;
+const K_ESTABLISHED = 20;
+
+// Probability that a profile rated `rating` beats one rated `opponentRating`
+const expectedScore = (rating, opponentRating) => {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+};
+
+const kFactor = (battles) => {
+  return battles < PROVISIONAL_BATTLES ? K_PROVISIONAL : K_ESTABLISHED;
+};
+
+// Rate one battle. `winner` and `loser` are { rating, battles } before the vote.
+const calculateBattleRatings = (winner, loser) => {
+  const winnerRating = winner.rating ?? DEFAULT_RATING;
+  const loserRating = loser.rating ?? DEFAULT_RATING;
+
+  const winnerDelta = kFactor(winner.battles || 0) * (1 - expectedScore(winnerRating, loserRating));
+  const loserDelta = -kFactor(loser.battles || 0) * expectedScore(loserRating, winnerRating);
+
+  return {
+    winnerRating: winnerRating + winnerDelta,
+    loserRating: loserRating + loserDelta,
+    winnerDelta,
+    loserDelta
+  };
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  expectedScore,
+  calculateBattleRatings
+};
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { DEFAULT_RATING, calculateBattleRatings } = require('./rating');
+
+// Replays every battle vote in order to rebuild all profile ratings and battle
+// counts from scratch. The server picks each profile's K-factor from its
+// battleWins + battleLosses, so both are rewritten to match the replay.
+// Stop the server (or pause voting) while this runs, or votes cast meanwhile are overwritten.
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jeetmash');
+
+// Define schemas (simplified versions)
+const profileSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  rating: { type: Number, default: DEFAULT_RATING },
+  battleWins: { type: Number, default: 0 },
+  battleLosses: { type: Number, default: 0 }
+});
+
+const voteSchema = new mongoose.Schema({
+  winnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+  loserId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+  winnerRating: { type: Number },
+  loserRating: { type: Number },
+  timestamp: { type: Date, default: Date.now }
+});
+
+const Profile = mongoose.model('Profile', profileSchema);
+const Vote = mongoose.model('Vote', voteSchema);
+
+const VOTE_BATCH_SIZE = 1000;
+
+async function rebuildRatings() {
+  try {
+    console.log('📈 Rebuilding ratings from vote history...');
+
+    // Every profile starts over at the default rating
+    const standings = new Map();
+    const profiles = await Profile.find({}, 'username');
+    profiles.forEach(profile => {
+      standings.set(profile._id.toString(), {
+        username: profile.username,
+        rating: DEFAULT_RATING,
+        wins: 0,
+        losses: 0
+      });
+    });
+
+    // Replay votes oldest first; skip votes for profiles that no longer exist
+    let replayed = 0;
+    let skipped = 0;
+    let voteUpdates = [];
+    const cursor = Vote.find({}, 'winnerId loserId').sort({ timestamp: 1, _id: 1 }).cursor();
+
+    for (let vote = await cursor.next(); vote; vote = await cursor.next()) {
+      const winner = standings.get(vote.winnerId.toString());
+      const loser = standings.get(vote.loserId.toString());
+
+      if (!winner || !loser) {
+        skipped++;
+        continue;
+      }
+
+      const ratings = calculateBattleRatings(
+        { rating: winner.rating, battles: winner.wins + winner.losses },
+        { rating: loser.rating, battles: loser.wins + loser.losses }
+      );
+      winner.rating = ratings.winnerRating;
+      loser.rating = ratings.loserRating;
+      winner.wins++;
+      loser.losses++;
+      replayed++;
+
+      // Keep the per-vote rating snapshots in line with the replay
+      voteUpdates.push({
+        updateOne: {
+          filter: { _id: vote._id },
+          update: { $set: { winnerRating: winner.rating, loserRating: loser.rating } }
+        }
+      });
+
+      if (voteUpdates.length >= VOTE_BATCH_SIZE) {
+        await Vote.bulkWrite(voteUpdates);
+        voteUpdates = [];
+      }
+    }
+
+    if (voteUpdates.length > 0) {
+      await Vote.bulkWrite(voteUpdates);
+    }
+
+    console.log(`🔁 Replayed ${replayed} votes (${skipped} skipped)`);
+
+    // Write all ratings and battle counts back in one batch
+    const operations = Array.from(standings, ([id, standing]) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { rating: standing.rating, battleWins: standing.wins, battleLosses: standing.losses } }
+      }
+    }));
+
+    if (operations.length > 0) {
+      await Profile.bulkWrite(operations);
+    }
+    console.log(`✅ Updated ratings and battle counts for ${operations.length} profiles`);
+
+    // Display the new top 10
+    console.log('\n🏆 Top ratings:');
+    Array.from(standings.values())
+      .sort((a, b) => b.rating - a.rating)
+      .slice(0, 10)
+      .forEach((standing, index) => {
+        console.log(`${index + 1}. ${standing.username} - ${Math.round(standing.rating)} (${standing.wins + standing.losses} battles)`);
+      });
+
+  } catch (error) {
+    console.error('❌ Error rebuilding ratings:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+    console.log('🔐 Database connection closed');
+  }
+}
+
+// Run rebuild
+rebuildRatings();
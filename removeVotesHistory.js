@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Profiles used to embed an ever-growing votesHistory array; period stats now
+// come from the Vote collection. Run once after deploying to strip the array
+// from older documents:
+//   node removeVotesHistory.js
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jeetmash');
+
+async function removeVotesHistory() {
+  try {
+    const result = await mongoose.connection.collection('profiles').updateMany(
+      { votesHistory: { $exists: true } },
+      { $unset: { votesHistory: 1 } }
+    );
+
+    console.log(`✅ Removed votesHistory from ${result.modifiedCount} profiles`);
+  } catch (error) {
+    console.error('❌ Error removing votesHistory:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+    console.log('🔐 Database connection closed');
+  }
+}
+
+// Run cleanup
+removeVotesHistory();
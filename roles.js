@@ -0,0 +1,30 @@
+// roles.js - User roles and what each one is allowed to do
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const MODERATOR_PERMISSIONS = [
+  'comments:moderate',
+  'submissions:review',
+  'users:ban',
+  'audit:read'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: MODERATOR_PERMISSIONS,
+  admin: [
+    ...MODERATOR_PERMISSIONS,
+    'profiles:manage',
+    'roles:manage'
+  ]
+};
+
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
@@ -27,6 +27,7 @@ class AppState {
             hasVoted: false,
             currentLeftProfile: null,
             currentRightProfile: null,
+            battleTicket: null,
             previousPair: []
         };
         
@@ -99,9 +100,148 @@ class AudioManager {
     }
 }
 
+// ==================== INFINITE SCROLL ====================
+// Calls `loadMore` whenever a sentinel placed after `container` scrolls into
+// view. `loadMore` resolves to whether more pages remain.
+const InfiniteScroll = {
+    observers: new Map(),
+    
+    attach(key, container, loadMore) {
+        this.detach(key);
+        
+        const sentinel = document.createElement('div');
+        sentinel.className = 'infinite-scroll-sentinel';
+        container.insertAdjacentElement('afterend', sentinel);
+        
+        let loading = false;
+        const observer = new IntersectionObserver(async (entries) => {
+            if (loading || !entries.some(entry => entry.isIntersecting)) return;
+            
+            loading = true;
+            sentinel.classList.add('loading');
+            try {
+                const hasMore = await loadMore();
+                if (!hasMore) {
+                    this.detach(key);
+                    return;
+                }
+                // Re-observe so a sentinel that is still visible fires again
+                observer.unobserve(sentinel);
+                observer.observe(sentinel);
+            } catch (error) {
+                console.error(`Failed to load more (${key}):`, error);
+            } finally {
+                loading = false;
+                sentinel.classList.remove('loading');
+            }
+        }, { rootMargin: '200px' });
+        
+        observer.observe(sentinel);
+        this.observers.set(key, { observer, sentinel });
+    },
+    
+    detach(key) {
+        const entry = this.observers.get(key);
+        if (!entry) return;
+        entry.observer.disconnect();
+        entry.sentinel.remove();
+        this.observers.delete(key);
+    }
+};
+
+// ==================== REALTIME MODULE ====================
+// One server-sent event stream shared by every module. Reconnects with
+// exponential backoff (plus jitter) whenever the connection drops.
+const RealtimeModule = {
+    source: null,
+    handlers: {},
+    retryDelay: 1000,
+    minRetryDelay: 1000,
+    maxRetryDelay: 30000,
+    reconnectTimer: null,
+    
+    on(type, handler) {
+        if (!this.handlers[type]) {
+            this.handlers[type] = [];
+            // Sources opened before this subscription need the listener too
+            if (this.source) this.listen(this.source, type);
+        }
+        this.handlers[type].push(handler);
+    },
+    
+    listen(source, type) {
+        source.addEventListener(type, (event) => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                console.warn(`Ignoring malformed ${type} event`);
+                return;
+            }
+            (this.handlers[type] || []).forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Realtime ${type} handler failed:`, error);
+                }
+            });
+        });
+    },
+    
+    connect() {
+        if (!window.EventSource || this.source) return;
+        
+        const source = window.apiService.openStream();
+        this.source = source;
+        Object.keys(this.handlers).forEach(type => this.listen(source, type));
+        
+        source.onopen = () => {
+            this.retryDelay = this.minRetryDelay;
+        };
+        
+        // Take over from the browser's fixed-interval retry so we can back off
+        source.onerror = () => {
+            source.close();
+            if (this.source === source) this.source = null;
+            this.scheduleReconnect();
+        };
+    },
+    
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+        
+        const delay = this.retryDelay * (0.5 + Math.random() / 2);
+        this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    },
+    
+    init() {
+        VotingModule.subscribeToUpdates();
+        LeaderboardModule.subscribeToUpdates();
+        CommentsModule.subscribeToUpdates();
+        RealtimeModule.on('verdict', updateViewedProfileVerdicts);
+        this.connect();
+        
+        // Reconnect straight away when the tab comes back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && !this.source) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+                this.retryDelay = this.minRetryDelay;
+                this.connect();
+            }
+        });
+    }
+};
+
 // ==================== NAVIGATION MODULE ====================
 const NavigationModule = {
-    showSection(sectionName) {
+    // `restoring` is set when going back/forward: keep what the section already
+    // shows and leave scrolling to the router
+    showSection(sectionName, { restoring = false } = {}) {
         // Hide all sections
         document.querySelectorAll('.section').forEach(section => {
             section.classList.remove('active');
@@ -124,6 +264,8 @@ const NavigationModule = {
             section.classList.add('active');
             section.style.display = 'block';
             
+            if (restoring) return;
+            
             // Section-specific initialization
             switch(sectionName) {
               case 'profiles':
@@ -157,6 +299,148 @@ const NavigationModule = {
     }
 };
 
+// ==================== ROUTER MODULE ====================
+// History API routing so views have real, shareable URLs. The server serves
+// index.html for unknown paths, so deep links load the app and land here.
+const RouterModule = {
+    routes: [
+        { view: 'home', pattern: /^\/$/ },
+        { view: 'profiles', pattern: /^\/profiles\/?$/ },
+        { view: 'profile', pattern: /^\/profile\/([^/]+)\/?$/ },
+        { view: 'kol', pattern: /^\/kol\/?$/ },
+        { view: 'leaderboard', pattern: /^\/leaderboard\/(all|day|week|month)\/?$/ }
+    ],
+    renderId: 0,
+    
+    start() {
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+        
+        window.addEventListener('popstate', (e) => {
+            this.render(location.pathname, e.state?.scrollY ?? 0);
+        });
+        
+        // Keep the position for a reload of the same entry
+        window.addEventListener('pagehide', () => this.saveScroll());
+        
+        // Same-tab clicks on router links; modified clicks open a new tab as usual
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-route]');
+            if (!link || e.defaultPrevented || e.button !== 0 ||
+                e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            
+            e.preventDefault();
+            this.navigate(link.getAttribute('href'));
+        });
+        
+        return this.render(location.pathname, history.state?.scrollY ?? null);
+    },
+    
+    profilePath(username) {
+        return `/profile/${encodeURIComponent(username)}`;
+    },
+    
+    profileUrl(username) {
+        return `${location.origin}${this.profilePath(username)}`;
+    },
+    
+    saveScroll() {
+        history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+    },
+    
+    navigate(path) {
+        if (path === location.pathname) {
+            history.replaceState({ scrollY: 0 }, '', path);
+        } else {
+            this.saveScroll();
+            history.pushState({ scrollY: 0 }, '', path);
+        }
+        return this.render(path);
+    },
+    
+    redirectHome() {
+        history.replaceState({ scrollY: 0 }, '', '/');
+        NavigationModule.showSection('home');
+    },
+    
+    // Show the view for `path`. `scrollY` is the position to restore when
+    // returning to an entry; null means a fresh visit.
+    async render(path, scrollY = null) {
+        const restoring = scrollY !== null;
+        const renderId = ++this.renderId;
+        
+        let view = null;
+        let param = null;
+        for (const route of this.routes) {
+            const match = path.match(route.pattern);
+            if (match) {
+                view = route.view;
+                param = match[1];
+                break;
+            }
+        }
+        
+        switch (view) {
+            case 'home':
+            case 'profiles':
+                NavigationModule.showSection(view, { restoring });
+                break;
+            case 'kol':
+                if (!document.getElementById('kol-holdings-section')) {
+                    this.redirectHome();
+                    return;
+                }
+                NavigationModule.showSection('kol-holdings', { restoring });
+                break;
+            case 'leaderboard':
+                LeaderboardModule.showPeriod(param);
+                if (restoring) {
+                    NavigationModule.showSection('home', { restoring });
+                } else {
+                    NavigationModule.scrollToElement('leaderboard-container');
+                }
+                break;
+            case 'profile': {
+                let username;
+                try {
+                    username = decodeURIComponent(param);
+                } catch (error) {
+                    username = null;
+                }
+                
+                const shown = username && await ProfileModule.renderProfileDetail(username);
+                if (renderId !== this.renderId) return;
+                if (shown === false || !username) {
+                    window.walletManager?.showNotification('Profile not found', 'error');
+                    this.redirectHome();
+                    return;
+                }
+                break;
+            }
+            default:
+                this.redirectHome();
+                return;
+        }
+        
+        if (restoring) this.restoreScroll(scrollY);
+    },
+    
+    // Content that loads after the view (comments, more pages) can leave the
+    // page too short at first, so retry briefly until the position is reachable
+    restoreScroll(scrollY, attempts = 10) {
+        const renderId = this.renderId;
+        const tryScroll = (remaining) => {
+            if (renderId !== this.renderId) return;
+            window.scrollTo(0, scrollY);
+            if (Math.abs(window.scrollY - scrollY) > 1 && remaining > 0) {
+                setTimeout(() => tryScroll(remaining - 1), 100);
+            }
+        };
+        tryScroll(attempts);
+    }
+};
+
 // ==================== PROFILE MODULE ====================
 const ProfileModule = {
     createProfileImage(profile) {
@@ -166,24 +450,35 @@ const ProfileModule = {
         return profile.emoji || '👤';
     },
     
-    async showProfileDetail(username) {
+    // Open a profile at its own URL; the router renders it
+    showProfileDetail(username) {
+        return RouterModule.navigate(RouterModule.profilePath(username));
+    },
+    
+    // Resolves false when there is no such profile
+    async renderProfileDetail(username) {
         try {
             // Fetch fresh profile data from backend
             const profile = await window.apiService.getProfileByUsername(username);
             
             if (!profile) {
                 console.error('Profile not found');
-                return;
+                return false;
             }
             
             // Store profile for voting
             window.currentViewedProfile = profile;
+            SearchModule.rememberProfile(profile);
             
             // Update profile information
             document.getElementById('detail-name').textContent = profile.username || 'Username';
             const handleElement = document.getElementById('detail-handle');
             handleElement.textContent = profile.handle || '@handle';
             
+            document.getElementById('detail-bio').textContent = profile.bio || '';
+            document.getElementById('detail-verified').style.display = profile.verified ? 'inline-block' : 'none';
+            this.updateClaimControls(profile);
+            
             // Make handle clickable
             if (profile.twitterHandle) {
                 handleElement.style.cursor = 'pointer';
@@ -211,7 +506,7 @@ const ProfileModule = {
             document.getElementById('detail-followers').textContent = profile.followers || '0';
             document.getElementById('detail-marketcap').textContent = profile.marketCap || '$0';
             document.getElementById('detail-change').textContent = profile.change || '0%';
-            document.getElementById('detail-score').textContent = profile.score || '0';
+            document.getElementById('detail-score').textContent = Math.round(profile.rating || 1500);
             document.getElementById('detail-votes').textContent = profile.votes || '0';
             
             // Update vote counts for Chad/Jeet
@@ -229,6 +524,7 @@ const ProfileModule = {
             // Show the profile detail section FIRST
             NavigationModule.showSection('profile-detail');
             resetProfileVotes();
+            showProfileVerdict(profile.myVerdict);
 
             // Reset profile votes when viewing a new profile
 function resetProfileVotes() {
@@ -251,6 +547,9 @@ function resetProfileVotes() {
 // Make it globally accessible
 window.resetProfileVotes = resetProfileVotes;
             
+            // Draw the trend charts without blocking the profile display
+            ProfileHistoryModule.load(profile._id);
+            
             // Load comments AFTER showing the profile (non-blocking)
             // This prevents comment loading errors from blocking the profile display
             setTimeout(async () => {
@@ -262,9 +561,14 @@ window.resetProfileVotes = resetProfileVotes;
                 }
             }, 100);
             
+            return true;
         } catch (error) {
             console.error('Error loading profile:', error);
             
+            if (error.message && error.message.includes('not found')) {
+                return false;
+            }
+            
             // Only show error if it's a critical error (not 404s or network issues)
             if (error.message && 
                 !error.message.includes('404') && 
@@ -277,6 +581,64 @@ window.resetProfileVotes = resetProfileVotes;
         }
     },
     
+    // Offer "Claim" to the matching X account owner and "Edit bio" to the verified owner
+    async updateClaimControls(profile) {
+        const container = document.getElementById('detail-claim-actions');
+        if (!container) return;
+        container.innerHTML = '';
+        
+        let user = null;
+        try {
+            user = await window.apiService.getCurrentUser();
+        } catch (error) {
+            console.warn('Failed to load current user:', error);
+        }
+        if (!user || window.currentViewedProfile?._id !== profile._id) return;
+        
+        const normalize = (handle) => (handle || '').replace(/^@/, '').toLowerCase();
+        
+        if (profile.claimedBy && profile.claimedBy === user.id) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'claim-profile-btn';
+            editBtn.textContent = '✏️ Edit Bio';
+            editBtn.onclick = () => this.editBio(profile);
+            container.appendChild(editBtn);
+        } else if (!profile.claimedBy && user.twitterHandle &&
+                   normalize(user.twitterHandle) === normalize(profile.twitterHandle)) {
+            const claimBtn = document.createElement('button');
+            claimBtn.className = 'claim-profile-btn';
+            claimBtn.textContent = '🛡️ Claim This Profile';
+            claimBtn.onclick = () => this.claimProfile(profile);
+            container.appendChild(claimBtn);
+        }
+    },
+    
+    async claimProfile(profile) {
+        try {
+            await window.apiService.claimProfile(profile._id);
+            window.walletManager?.showNotification('Profile claimed and verified!', 'success');
+            await this.showProfileDetail(profile.username);
+        } catch (error) {
+            console.error('Failed to claim profile:', error);
+            window.walletManager?.showNotification(error.message || 'Failed to claim profile', 'error');
+        }
+    },
+    
+    async editBio(profile) {
+        const bio = prompt('Update your bio (max 280 characters):', profile.bio || '');
+        if (bio === null) return;
+        
+        try {
+            const updated = await window.apiService.updateProfileBio(profile._id, bio.slice(0, 280));
+            window.currentViewedProfile = updated;
+            document.getElementById('detail-bio').textContent = updated.bio || '';
+            window.walletManager?.showNotification('Bio updated!', 'success');
+        } catch (error) {
+            console.error('Failed to update bio:', error);
+            window.walletManager?.showNotification('Failed to update bio', 'error');
+        }
+    },
+    
     updateChangeIndicator(change) {
         const changeElement = document.getElementById('detail-change');
         if (!changeElement) return;
@@ -290,8 +652,144 @@ window.resetProfileVotes = resetProfileVotes;
         }
     }
 };
+// ==================== PROFILE HISTORY MODULE ====================
+const ProfileHistoryModule = {
+    CHART_WIDTH: 300,
+    CHART_HEIGHT: 40,
+    currentProfileId: null,
+    bucket: 'hour',
+    
+    async load(profileId, bucket = this.bucket) {
+        const chart = document.getElementById('profile-history-chart');
+        if (!chart) return;
+        
+        this.currentProfileId = profileId;
+        this.bucket = bucket;
+        document.querySelectorAll('.history-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.bucket === bucket);
+        });
+        
+        try {
+            const history = await window.apiService.getProfileHistory(profileId, bucket);
+            
+            // Ignore responses for a profile we've navigated away from
+            if (this.currentProfileId !== profileId || this.bucket !== bucket) return;
+            
+            this.render(chart, history.points);
+        } catch (error) {
+            console.warn('Failed to load profile history:', error);
+            chart.innerHTML = '<div class="history-empty">History unavailable</div>';
+        }
+    },
+    
+    render(chart, points) {
+        if (!points.length) {
+            chart.innerHTML = '<div class="history-empty">No activity yet</div>';
+            return;
+        }
+        
+        const ratings = points.map(point => point.rating);
+        const chadShares = points.map(point => {
+            const total = point.chadTotal + point.jeetTotal;
+            return total > 0 ? Math.round((point.chadTotal / total) * 100) : 50;
+        });
+        const latest = points[points.length - 1];
+        const wins = points.reduce((sum, point) => sum + point.wins, 0);
+        const losses = points.reduce((sum, point) => sum + point.losses, 0);
+        
+        chart.innerHTML = `
+            ${this.createRow('Rating', ratings[ratings.length - 1], this.createSparkline(ratings, '#f59e0b'))}
+            ${this.createRow('Chad %', chadShares[chadShares.length - 1] + '%', this.createSparkline(chadShares, '#22c55e', 0, 100))}
+            ${this.createRow('Battles', `${wins}W / ${losses}L`, this.createBattleBars(points))}
+        `;
+        chart.title = `Since ${new Date(points[0].time).toLocaleString()} • now ${latest.chadTotal} chad / ${latest.jeetTotal} jeet`;
+    },
+    
+    createRow(label, value, svg) {
+        return `
+            <div class="history-row">
+                <div class="history-label">${label}</div>
+                ${svg}
+                <div class="history-value">${value}</div>
+            </div>
+        `;
+    },
+    
+    // Polyline of `values` scaled into the chart box (min/max default to the data range)
+    createSparkline(values, color, min = Math.min(...values), max = Math.max(...values)) {
+        const { CHART_WIDTH: width, CHART_HEIGHT: height } = this;
+        const range = max - min || 1;
+        const step = values.length > 1 ? width / (values.length - 1) : 0;
+        
+        const coordinates = values.map((value, index) => {
+            const x = (index * step).toFixed(1);
+            const y = (height - 2 - ((value - min) / range) * (height - 4)).toFixed(1);
+            return `${x},${y}`;
+        }).join(' ');
+        
+        return `
+            <svg class="history-sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polyline points="${coordinates}" fill="none" stroke="${color}" stroke-width="2" vector-effect="non-scaling-stroke"/>
+            </svg>
+        `;
+    },
+    
+    // Wins as bars above the midline, losses below
+    createBattleBars(points) {
+        const { CHART_WIDTH: width, CHART_HEIGHT: height } = this;
+        const middle = height / 2;
+        const peak = Math.max(1, ...points.map(point => Math.max(point.wins, point.losses)));
+        const barWidth = width / points.length;
+        
+        const bars = points.map((point, index) => {
+            const x = (index * barWidth).toFixed(1);
+            const w = Math.max(barWidth - 1, 1).toFixed(1);
+            const winHeight = (point.wins / peak) * (middle - 1);
+            const lossHeight = (point.losses / peak) * (middle - 1);
+            return `
+                <rect x="${x}" y="${(middle - winHeight).toFixed(1)}" width="${w}" height="${winHeight.toFixed(1)}" fill="#22c55e"/>
+                <rect x="${x}" y="${middle}" width="${w}" height="${lossHeight.toFixed(1)}" fill="#ef4444"/>
+            `;
+        }).join('');
+        
+        return `
+            <svg class="history-sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <line x1="0" y1="${middle}" x2="${width}" y2="${middle}" stroke="rgba(255, 255, 255, 0.1)"/>
+                ${bars}
+            </svg>
+        `;
+    }
+};
+
 // ==================== VOTING MODULE ====================
 const VotingModule = {
+    // Keep the battle bar in step with votes cast by everyone
+    subscribeToUpdates() {
+        RealtimeModule.on('vote', ({ winner, loser }) => {
+            const { currentLeftProfile, currentRightProfile } = appState.voting;
+            let changed = false;
+            
+            [winner, loser].forEach(update => {
+                if (currentLeftProfile?._id === update.id) {
+                    currentLeftProfile.votes = update.votes;
+                    currentLeftProfile.rating = update.rating;
+                    appState.voting.leftVotes = update.votes;
+                    changed = true;
+                } else if (currentRightProfile?._id === update.id) {
+                    currentRightProfile.votes = update.votes;
+                    currentRightProfile.rating = update.rating;
+                    appState.voting.rightVotes = update.votes;
+                    changed = true;
+                }
+            });
+            
+            if (changed) {
+                appState.voting.totalVotes = appState.voting.leftVotes + appState.voting.rightVotes;
+                this.updateResults();
+            }
+        });
+    },
+    
     updateResults() {
         const { totalVotes, leftVotes, rightVotes } = appState.voting;
         const leftPercent = totalVotes > 0 ? Math.round((leftVotes / totalVotes) * 100) : 50;
@@ -313,21 +811,13 @@ const VotingModule = {
         const rightPercentage = document.getElementById('right-percentage');
         if (leftPercentage) leftPercentage.textContent = `${leftPercent}% voted for ${leftName}`;
         if (rightPercentage) rightPercentage.textContent = `${rightPercent}% voted for ${rightName}`;
-        
-        // Update total votes
-        const totalVotesElement = document.getElementById('total-votes');
-        if (totalVotesElement) {
-            totalVotesElement.textContent = totalVotes.toLocaleString();
-        }
     },
     
     async loadNewProfiles() {
         try {
-            // Fetch random profiles from backend
-            const profiles = await window.apiService.getProfiles({ 
-                sort: 'random', 
-                limit: 2 
-            });
+            // Ask the backend for a matched pair, avoiding the one we just showed
+            const battle = await window.apiService.getNextBattle(appState.voting.previousPair);
+            const profiles = battle?.profiles;
             
             if (!profiles || profiles.length < 2) {
                 console.error("Not enough profiles from backend");
@@ -337,9 +827,10 @@ const VotingModule = {
             // Update state
             appState.voting.currentLeftProfile = profiles[0];
             appState.voting.currentRightProfile = profiles[1];
+            appState.voting.battleTicket = battle.ticket;
             appState.voting.previousPair = [
-                appState.voting.currentLeftProfile.username, 
-                appState.voting.currentRightProfile.username
+                appState.voting.currentLeftProfile._id, 
+                appState.voting.currentRightProfile._id
             ];
             
             // Update UI
@@ -349,7 +840,7 @@ const VotingModule = {
             // Reset voting state
             this.resetVotingState();
             
-            // Update results with real vote counts
+            // Split the result bars by the pair's own vote counts
             appState.voting.totalVotes = (profiles[0].votes || 0) + (profiles[1].votes || 0) || 100;
             appState.voting.leftVotes = profiles[0].votes || Math.round(appState.voting.totalVotes * 0.5);
             appState.voting.rightVotes = profiles[1].votes || appState.voting.totalVotes - appState.voting.leftVotes;
@@ -480,7 +971,11 @@ const VotingModule = {
             });
             
             // Submit vote to backend
-            const result = await window.apiService.submitBattleVote(winner._id, loser._id);
+            const result = await window.apiService.submitBattleVote(
+                winner._id,
+                loser._id,
+                appState.voting.battleTicket
+            );
             
             // Update results
             this.updateResults();
@@ -511,35 +1006,140 @@ const VotingModule = {
     }
 };
 
+// ==================== LIVE STATS MODULE ====================
+// Global battle ticker: total votes, votes in the last minute and voters
+// active in the last five minutes. Numbers count up/down to each new value.
+const LiveStatsModule = {
+    elements: {
+        totalVotes: 'total-votes',
+        votesLastMinute: 'votes-per-minute',
+        activeVoters: 'active-voters'
+    },
+    values: {},
+    animationFrames: {},
+    animationDuration: 800,
+    
+    async init() {
+        if (!document.getElementById(this.elements.totalVotes)) return;
+        
+        RealtimeModule.on('stats', stats => this.update(stats));
+        
+        try {
+            this.update(await window.apiService.getLiveStats());
+        } catch (error) {
+            console.error('Failed to load live stats:', error);
+        }
+    },
+    
+    update(stats) {
+        Object.entries(this.elements).forEach(([key, id]) => {
+            const element = document.getElementById(id);
+            if (element && Number.isFinite(stats[key])) {
+                this.animateNumber(key, element, stats[key]);
+            }
+        });
+    },
+    
+    animateNumber(key, element, target) {
+        const start = this.values[key] ?? 0;
+        this.values[key] = target;
+        cancelAnimationFrame(this.animationFrames[key]);
+        
+        const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+        if (start === target || reduceMotion) {
+            element.textContent = target.toLocaleString();
+            return;
+        }
+        
+        const startedAt = performance.now();
+        const step = (now) => {
+            const progress = Math.min((now - startedAt) / this.animationDuration, 1);
+            // Ease out so the last digits settle gently
+            const eased = 1 - Math.pow(1 - progress, 3);
+            element.textContent = Math.round(start + (target - start) * eased).toLocaleString();
+            if (progress < 1) {
+                this.animationFrames[key] = requestAnimationFrame(step);
+            }
+        };
+        this.animationFrames[key] = requestAnimationFrame(step);
+    }
+};
+
 // ==================== LEADERBOARD MODULE ====================
 const LeaderboardModule = {
-    async updateLeaderboard() {
+    pageSize: 50,
+    refreshTimer: null,
+    
+    // Re-render when ranks move on the period being shown
+    subscribeToUpdates() {
+        RealtimeModule.on('leaderboard', ({ period }) => {
+            if (period !== (this.period || 'all')) return;
+            
+            // Coalesce bursts and don't yank rows away mid-scroll
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = setTimeout(() => {
+                const table = document.querySelector('.leaderboard-table');
+                const scrolledPast = table && table.getBoundingClientRect().top < 0;
+                if (!scrolledPast) this.updateLeaderboard(period);
+            }, 500);
+        });
+    },
+    
+    // Select a period's tab and load it
+    showPeriod(period) {
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.period === period);
+        });
+        return this.updateLeaderboard(period);
+    },
+    
+    async updateLeaderboard(period) {
         const leaderboardTable = document.querySelector('.leaderboard-table');
         if (!leaderboardTable) return;
         
         try {
-            // Get current tab period
-            const activeTab = document.querySelector('.tab-btn.active');
-            const period = activeTab?.textContent.toLowerCase() || 'all';
+            // Default to the current tab period
+            if (!period) {
+                const activeTab = document.querySelector('.tab-btn.active');
+                period = activeTab?.dataset.period || 'all';
+            }
+            this.period = period;
+            
+            InfiniteScroll.detach('leaderboard');
             
             // Fetch leaderboard from backend
-            const profiles = await window.apiService.getLeaderboard(period);
+            const { profiles, nextCursor } = await window.apiService.getLeaderboard(period, this.pageSize);
+            if (this.period !== period) return; // another tab was picked meanwhile
             
             // Clear existing rows
             const existingRows = leaderboardTable.querySelectorAll('.leaderboard-row');
             existingRows.forEach(row => row.remove());
             
-            // Create new rows
-            profiles.forEach((profile, index) => {
-                const row = this.createLeaderboardRow(profile, index);
-                leaderboardTable.appendChild(row);
-            });
+            this.appendRows(leaderboardTable, profiles);
+            
+            if (nextCursor) {
+                let cursor = nextCursor;
+                InfiniteScroll.attach('leaderboard', leaderboardTable, async () => {
+                    const page = await window.apiService.getLeaderboard(period, this.pageSize, cursor);
+                    if (this.period !== period) return false;
+                    this.appendRows(leaderboardTable, page.profiles);
+                    cursor = page.nextCursor;
+                    return Boolean(cursor);
+                });
+            }
             
         } catch (error) {
             console.error('Error updating leaderboard:', error);
         }
     },
     
+    appendRows(leaderboardTable, profiles) {
+        profiles.forEach((profile, index) => {
+            const row = this.createLeaderboardRow(profile, index);
+            leaderboardTable.appendChild(row);
+        });
+    },
+    
 createLeaderboardRow(profile, index) {
     const row = document.createElement('div');
     row.className = 'leaderboard-row';
@@ -551,7 +1151,7 @@ createLeaderboardRow(profile, index) {
         : profile.emoji || '👤';
     
     row.innerHTML = `
-        <div class="rank">${index + 1}</div>
+        <div class="rank">${profile.rank || index + 1}${this.createRankChange(profile.rankChange)}</div>
         <div class="profile-info">
             <div class="profile-avatar">${avatarHTML}</div>
             <div class="profile-details">
@@ -561,11 +1161,29 @@ createLeaderboardRow(profile, index) {
         </div>
         <div class="votes-score-container">
             <span class="votes-text"></span>
-            <span class="score">${profile.votes >= 1000 ? (profile.votes / 1000).toFixed(2) + 'k' : profile.votes}</span>
+            <span class="score" title="${profile.stats.wins}W / ${profile.stats.losses}L (net ${profile.stats.net >= 0 ? '+' : ''}${profile.stats.net})">${profile.stats.wins >= 1000 ? (profile.stats.wins / 1000).toFixed(2) + 'k' : profile.stats.wins}</span>
         </div>
     `;
     
     return row;
+},
+
+// Movement since the last daily snapshot: ▲ up, ▼ down, "new" if unranked
+// before, nothing if unknown (no snapshot, or ranked below what it covers)
+createRankChange(rankChange) {
+    if (rankChange === null || rankChange === undefined) {
+        return '';
+    }
+    if (rankChange === 'new') {
+        return '<span class="rank-change new">new</span>';
+    }
+    if (rankChange > 0) {
+        return `<span class="rank-change up">▲${rankChange}</span>`;
+    }
+    if (rankChange < 0) {
+        return `<span class="rank-change down">▼${-rankChange}</span>`;
+    }
+    return '<span class="rank-change same">–</span>';
 }
 };
 
@@ -580,9 +1198,9 @@ const ChampionsModule = {
             
             // Fetch top profiles for different periods
             const [dayChampion, weekChampion, monthChampion] = await Promise.all([
-                window.apiService.getLeaderboard('day', 1).then(r => r[0]),
-                window.apiService.getLeaderboard('week', 1).then(r => r[0]),
-                window.apiService.getLeaderboard('month', 1).then(r => r[0])
+                window.apiService.getLeaderboard('day', 1).then(r => r.profiles[0]),
+                window.apiService.getLeaderboard('week', 1).then(r => r.profiles[0]),
+                window.apiService.getLeaderboard('month', 1).then(r => r.profiles[0])
             ]);
             
             const champions = [
@@ -601,7 +1219,7 @@ const ChampionsModule = {
             console.error('Failed to fetch champions:', error);
             // Fallback to show top 3 from all time
             try {
-                const topProfiles = await window.apiService.getLeaderboard('all', 3);
+                const { profiles: topProfiles } = await window.apiService.getLeaderboard('all', 3);
                 const periods = ['Day', 'Week', 'Month'];
                 const periodClasses = ['jeet-day', 'jeet-week', 'jeet-month'];
                 
@@ -639,12 +1257,12 @@ const ChampionsModule = {
             <p class="champion-tagline">${tagline}</p>
             <div class="champion-stats">
                 <div class="stat-item">
-                    <span class="stat-value" data-score="${profile.score}">${profile.score}</span>
-                    <span class="stat-label">Score</span>
+                    <span class="stat-value" data-rating="${Math.round(profile.rating || 1500)}">${Math.round(profile.rating || 1500)}</span>
+                    <span class="stat-label">Rating</span>
                 </div>
                 <div class="stat-item">
-                    <span class="stat-value" data-votes="${profile.votes}">${profile.votes}</span>
-                    <span class="stat-label">Votes</span>
+                    <span class="stat-value" data-wins="${profile.stats.wins}">${profile.stats.wins}</span>
+                    <span class="stat-label">Wins</span>
                 </div>
             </div>
         `;
@@ -655,30 +1273,45 @@ const ChampionsModule = {
 
 // ==================== PROFILES MODULE ====================
 const ProfilesModule = {
+    pageSize: 50,
+    
     async updateProfilesSection() {
         const profilesGrid = document.querySelector('.profiles-grid');
         if (!profilesGrid) return;
         
         try {
             profilesGrid.innerHTML = '';
-            
-            // Fetch all profiles from backend
-            const profiles = await window.apiService.getProfiles({ 
-                sort: 'votes', 
-                order: 'desc', 
-                limit: 50 
-            });
-            
-            profiles.forEach((profile, index) => {
-                const profileTile = this.createProfileTile(profile, index);
-                profilesGrid.appendChild(profileTile);
-            });
+            InfiniteScroll.detach('profiles');
+            
+            // Fetch profiles from backend a page at a time
+            const params = { sort: 'votes', order: 'desc', limit: this.pageSize };
+            const { profiles, nextCursor } = await window.apiService.getProfiles(params);
+            this.appendTiles(profilesGrid, profiles);
+            
+            if (nextCursor) {
+                let cursor = nextCursor;
+                InfiniteScroll.attach('profiles', profilesGrid, async () => {
+                    const page = await window.apiService.getProfiles({ ...params, cursor });
+                    this.appendTiles(profilesGrid, page.profiles);
+                    cursor = page.nextCursor;
+                    return Boolean(cursor);
+                });
+            }
             
         } catch (error) {
             console.error('Error updating profiles section:', error);
         }
     },
     
+    // Ranks continue from the tiles already in the grid
+    appendTiles(profilesGrid, profiles) {
+        const offset = profilesGrid.children.length;
+        profiles.forEach((profile, index) => {
+            const profileTile = this.createProfileTile(profile, offset + index);
+            profilesGrid.appendChild(profileTile);
+        });
+    },
+    
 createProfileTile(profile, index) {
     const avatarHTML = profile.image 
         ? `<img src="${profile.image}" alt="${profile.username}" style="width: 100%; height: 100%; object-fit: cover; border-radius: 50%;">` 
@@ -711,7 +1344,7 @@ createProfileTile(profile, index) {
         </div>
         <div class="profile-tile-footer">
             <div class="followers-count">Followers: ${profile.followers}</div>
-            <div class="score-badge">Score: ${profile.score}</div>
+            <div class="score-badge">Rating: ${Math.round(profile.rating || 1500)}</div>
         </div>
     `;
     
@@ -731,7 +1364,7 @@ const KOLModule = {
             kolRowsContainer.innerHTML = '';
             
             // Fetch KOL data from backend
-            const profiles = await window.apiService.getProfiles({ limit: 50 });
+            const { profiles } = await window.apiService.getProfiles({ limit: 50 });
             
             // Transform profiles to KOL format
             this.kolData = profiles.map((profile, index) => ({
@@ -815,44 +1448,267 @@ const KOLModule = {
 
 // ==================== SEARCH MODULE ====================
 const SearchModule = {
-    async searchProfile(searchTerm) {
-        if (!searchTerm) return;
+    debounceMs: 200,
+    suggestionLimit: 8,
+    recentKey: 'jeetmash_recent_profiles',
+    maxRecent: 5,
+    results: [],
+    activeIndex: -1,
+    debounceTimer: null,
+    controller: null,
+    
+    // Wire up search-as-you-type on the header search box
+    init() {
+        const searchInput = document.querySelector('.search-input');
+        if (!searchInput) return;
+        
+        searchInput.addEventListener('input', () => this.handleInput(searchInput.value));
+        searchInput.addEventListener('focus', () => {
+            if (!searchInput.value.trim()) this.showRecent();
+        });
+        searchInput.addEventListener('keydown', (e) => this.handleKeydown(e, searchInput));
+    },
+    
+    handleInput(value) {
+        clearTimeout(this.debounceTimer);
+        const query = value.trim();
         
-        searchTerm = searchTerm.trim().toLowerCase();
+        if (!query) {
+            this.cancelPending();
+            this.showRecent();
+            return;
+        }
         
-        if (searchTerm.startsWith('@')) {
-            searchTerm = searchTerm.substring(1);
+        this.debounceTimer = setTimeout(() => this.fetchSuggestions(query), this.debounceMs);
+    },
+    
+    handleKeydown(e, searchInput) {
+        const container = document.getElementById('search-results');
+        const isOpen = container?.classList.contains('active');
+        
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                if (!isOpen || this.results.length === 0) return;
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+                break;
+            }
+            case 'Enter':
+                e.preventDefault();
+                if (isOpen && this.activeIndex >= 0) {
+                    this.openProfile(this.results[this.activeIndex]);
+                } else {
+                    this.searchProfile(searchInput.value);
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.stopPropagation();
+                    this.hideResults();
+                }
+                break;
         }
+    },
+    
+    // Stop any queued or in-flight suggestion request
+    cancelPending() {
+        clearTimeout(this.debounceTimer);
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    },
+    
+    async fetchSuggestions(query) {
+        this.cancelPending();
+        const controller = new AbortController();
+        this.controller = controller;
         
         try {
-            // Search through all profiles from backend
-            const profiles = await window.apiService.getProfiles({ limit: 100 });
+            const { results } = await window.apiService.searchProfiles(query, this.suggestionLimit, controller.signal);
+            if (controller.signal.aborted) return;
             
-            let foundProfile = null;
+            this.renderResults(results, { emptyText: `No profiles match "${query}"` });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Suggestions failed:', error);
+        } finally {
+            if (this.controller === controller) this.controller = null;
+        }
+    },
+    
+    async searchProfile(searchTerm) {
+        if (!searchTerm || !searchTerm.trim()) return;
+        this.cancelPending();
+        
+        try {
+            const { results } = await window.apiService.searchProfiles(searchTerm.trim());
             
-            for (const profile of profiles) {
-                const username = profile.username.toLowerCase();
-                const handle = profile.handle.toLowerCase().replace('@', '');
-                
-                if (username === searchTerm || handle === searchTerm || 
-                    username.includes(searchTerm) || handle.includes(searchTerm)) {
-                    foundProfile = profile;
-                    break;
-                }
+            if (results.length === 0) {
+                this.hideResults();
+                window.walletManager?.showNotification(`No profiles found for "${searchTerm.trim()}"`, 'warning');
+                return;
             }
             
-            if (foundProfile) {
-                ProfileModule.showProfileDetail(foundProfile.username);
-                
-                const searchInput = document.querySelector('.search-input');
-                if (searchInput) searchInput.value = '';
-            } else {
-                alert(`Profile "${searchTerm}" not found.`);
+            // Go straight to an exact or only match; otherwise let the user pick
+            if (results.length === 1 || results[0].matchScore === 1) {
+                this.openProfile(results[0]);
+                return;
             }
+            
+            this.renderResults(results);
         } catch (error) {
             console.error('Search failed:', error);
-            alert('Search failed. Please try again.');
+            window.walletManager?.showNotification('Search failed. Please try again.', 'error');
         }
+    },
+    
+    openProfile(profile) {
+        this.cancelPending();
+        this.hideResults();
+        ProfileModule.showProfileDetail(profile.username);
+        
+        const searchInput = document.querySelector('.search-input');
+        if (searchInput) {
+            searchInput.value = '';
+            searchInput.blur();
+        }
+    },
+    
+    // Ranked results (or recent profiles) under the search box
+    renderResults(profiles, { heading = '', emptyText = '' } = {}) {
+        const container = document.getElementById('search-results');
+        if (!container) return;
+        
+        this.results = profiles;
+        this.activeIndex = -1;
+        container.innerHTML = '';
+        
+        if (profiles.length === 0 && !emptyText) {
+            this.hideResults();
+            return;
+        }
+        
+        if (heading) {
+            const headingElement = document.createElement('div');
+            headingElement.className = 'search-results-heading';
+            headingElement.textContent = heading;
+            container.appendChild(headingElement);
+        }
+        
+        if (profiles.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-results-empty';
+            empty.textContent = emptyText;
+            container.appendChild(empty);
+        }
+        
+        profiles.forEach((profile, index) => {
+            const item = document.createElement('div');
+            item.className = 'search-result';
+            item.id = `search-result-${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            
+            // Fields come from the API and from localStorage: text only
+            const avatar = document.createElement('div');
+            avatar.className = 'search-result-avatar';
+            if (profile.image) {
+                const img = document.createElement('img');
+                img.src = profile.image;
+                img.alt = '';
+                avatar.appendChild(img);
+            } else {
+                avatar.textContent = profile.emoji || '👤';
+            }
+            
+            const info = document.createElement('div');
+            info.className = 'search-result-info';
+            const name = document.createElement('span');
+            name.className = 'search-result-name';
+            name.textContent = `${profile.username}${profile.verified ? ' ✅' : ''}`;
+            const handle = document.createElement('span');
+            handle.className = 'search-result-handle';
+            handle.textContent = profile.handle || '';
+            info.append(name, handle);
+            
+            item.append(avatar, info);
+            if (profile.rank) {
+                const rank = document.createElement('span');
+                rank.className = 'search-result-rank';
+                rank.textContent = `#${profile.rank}`;
+                item.appendChild(rank);
+            }
+            // mousedown fires before the input blurs
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.openProfile(profile);
+            });
+            item.addEventListener('mousemove', () => {
+                if (this.activeIndex !== index) this.setActive(index);
+            });
+            container.appendChild(item);
+        });
+        container.classList.add('active');
+    },
+    
+    setActive(index) {
+        const container = document.getElementById('search-results');
+        if (!container) return;
+        
+        this.activeIndex = index;
+        container.querySelectorAll('.search-result').forEach((item, i) => {
+            const isActive = i === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', String(isActive));
+            if (isActive) item.scrollIntoView({ block: 'nearest' });
+        });
+        
+        document.querySelector('.search-input')?.setAttribute('aria-activedescendant', `search-result-${index}`);
+    },
+    
+    hideResults() {
+        const container = document.getElementById('search-results');
+        if (!container) return;
+        container.classList.remove('active');
+        container.innerHTML = '';
+        this.results = [];
+        this.activeIndex = -1;
+        document.querySelector('.search-input')?.removeAttribute('aria-activedescendant');
+    },
+    
+    // ---- Recently viewed profiles (stored locally) ----
+    
+    getRecentProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(this.recentKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+    
+    rememberProfile(profile) {
+        const entry = {
+            username: profile.username,
+            handle: profile.handle,
+            image: profile.image,
+            emoji: profile.emoji,
+            verified: profile.verified
+        };
+        const recent = this.getRecentProfiles().filter(item => item.username !== profile.username);
+        recent.unshift(entry);
+        localStorage.setItem(this.recentKey, JSON.stringify(recent.slice(0, this.maxRecent)));
+    },
+    
+    showRecent() {
+        const recent = this.getRecentProfiles();
+        if (recent.length === 0) {
+            this.hideResults();
+            return;
+        }
+        this.renderResults(recent, { heading: 'Recently viewed' });
     }
 };
 
@@ -959,7 +1815,8 @@ const SocialModule = {
         
         if (profile) {
             const tweetText = `Just voted for ${profileName} The stupid piece of JEETING Dog Shit, @jeetmash`;
-            const twitterUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(tweetText)}`;
+            const profileUrl = RouterModule.profileUrl(profile.username);
+            const twitterUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(tweetText)}&url=${encodeURIComponent(profileUrl)}`;
             
             window.open(twitterUrl, '_blank', 'noopener,noreferrer');
         } else {
@@ -971,7 +1828,19 @@ const SocialModule = {
 // ==================== COMMENTS MODULE ====================
 const CommentsModule = {
     allComments: [],
+    commentsById: new Map(),
     currentProfileId: null,
+    currentUserId: null,
+    // Mirrors COMMENT_MAX_DEPTH on the server; top-level comments are depth 0
+    maxDepth: 3,
+    // Mirrors REPORT_REASONS on the server
+    reportReasons: {
+        spam: 'Spam',
+        harassment: 'Harassment',
+        hate: 'Hate speech',
+        scam: 'Scam or phishing',
+        other: 'Other'
+    },
     
     // Load comments for a profile
     async loadProfileComments(profileName) {
@@ -984,12 +1853,18 @@ const CommentsModule = {
             }
             
             this.currentProfileId = profile._id;
+            this.currentUserId = await this.getCurrentUserId();
             
             // Now load comments using profile ID
-            const comments = await window.apiService.getComments(profile._id);
+            InfiniteScroll.detach('comments');
+            const { comments, nextCursor } = await window.apiService.getComments(profile._id);
             this.allComments = comments;
             this.displayAllComments();
             
+            if (nextCursor) {
+                this.attachCommentPaging(profile._id, nextCursor);
+            }
+            
         } catch (error) {
             console.error('Failed to load comments:', error);
             // Still display any existing comments
@@ -997,15 +1872,84 @@ const CommentsModule = {
         }
     },
     
+    // Show comments from other people as they are posted, edited or removed
+    subscribeToUpdates() {
+        RealtimeModule.on('comment', ({ profileId, comment }) => {
+            if (profileId !== this.currentProfileId || this.commentsById.has(comment._id)) return;
+            
+            if (!comment.parentId) {
+                this.allComments.unshift(comment);
+                this.displayComment(comment);
+                return;
+            }
+            
+            const parent = this.commentsById.get(comment.parentId);
+            const parentElement = this.findCommentElement(comment.parentId);
+            if (!parent || !parentElement) return;
+            
+            parent.replyCount = (parent.replyCount || 0) + 1;
+            if (parent.repliesLoaded) {
+                parent.replies.push(comment);
+                this.displayComment(comment, this.getThreadElements(parentElement).replies, false);
+            }
+            this.updateRepliesToggle(parentElement, parent);
+        });
+        
+        RealtimeModule.on('comment-update', ({ profileId, comment: updated }) => {
+            if (profileId !== this.currentProfileId) return;
+            
+            const comment = this.commentsById.get(updated._id);
+            const element = this.findCommentElement(updated._id);
+            if (comment && element) {
+                this.replaceComment(element, comment, updated);
+            }
+        });
+    },
+    
+    findCommentElement(commentId) {
+        return document.querySelector(`.comment-item[data-comment-id="${commentId}"]`);
+    },
+    
+    // Load older comments as the list scrolls
+    attachCommentPaging(profileId, nextCursor) {
+        const commentsList = document.getElementById('profile-comments-list');
+        if (!commentsList) return;
+        
+        let cursor = nextCursor;
+        InfiniteScroll.attach('comments', commentsList, async () => {
+            const page = await window.apiService.getComments(profileId, cursor);
+            if (this.currentProfileId !== profileId) return false;
+            
+            page.comments.forEach(comment => {
+                this.allComments.push(comment);
+                this.displayComment(comment, commentsList, false);
+            });
+            cursor = page.nextCursor;
+            return Boolean(cursor);
+        });
+    },
+    
+    // Id of the signed-in user, used to offer edit/delete on their own comments
+    async getCurrentUserId() {
+        if (!window.apiService.token) return null;
+        try {
+            const user = await window.apiService.getCurrentUser();
+            return user?.id || null;
+        } catch (error) {
+            return null;
+        }
+    },
+
     // Display all comments
     displayAllComments() {
         const commentsList = document.getElementById('profile-comments-list');
         if (!commentsList) return;
         
         commentsList.innerHTML = '';
+        this.commentsById.clear();
         
         this.allComments.forEach(comment => {
-            this.displayComment(comment);
+            this.displayComment(comment, commentsList, false);
         });
     },
     
@@ -1023,11 +1967,11 @@ const CommentsModule = {
         try {
             const comment = await window.apiService.postComment(this.currentProfileId, commentText);
             
-            // Add to local array
-            this.allComments.unshift(comment);
-            
-            // Display the new comment
-            this.displayComment(comment);
+            // The live stream may have delivered it already
+            if (!this.commentsById.has(comment._id)) {
+                this.allComments.unshift(comment);
+                this.displayComment(comment);
+            }
             
             if (window.walletManager) {
                 window.walletManager.showNotification('💬 Comment added!', 'success');
@@ -1043,13 +1987,33 @@ const CommentsModule = {
         }
     },
 
-    // Display a single comment
-    displayComment(comment) {
-        const commentsList = document.getElementById('profile-comments-list');
-        if (!commentsList) return;
+    // Display a single comment, newest on top unless appending in server order
+    displayComment(comment, container = document.getElementById('profile-comments-list'), prepend = true) {
+        if (!container) return;
+
+        const commentElement = this.createCommentElement(comment);
+        if (prepend && container.firstChild) {
+            container.insertBefore(commentElement, container.firstChild);
+        } else {
+            container.appendChild(commentElement);
+        }
+    },
+
+    // Build a comment element along with its (possibly collapsed) reply thread
+    createCommentElement(comment) {
+        this.commentsById.set(comment._id, comment);
 
         const commentElement = document.createElement('div');
         commentElement.className = 'comment-item';
+        commentElement.dataset.commentId = comment._id;
+        if (comment.depth > 0) {
+            commentElement.classList.add('comment-reply');
+        }
+        // Deleted and moderated comments render as tombstones
+        const isTombstone = comment.deleted || comment.hidden;
+        if (isTombstone) {
+            commentElement.classList.add('comment-deleted');
+        }
         
         // Check if author has wallet verified
         const isWalletVerified = comment.authorId?.walletAddress ? true : false;
@@ -1067,6 +2031,30 @@ const CommentsModule = {
         // Get author info
         const authorName = comment.authorId?.displayName || 'Anonymous';
         const authorAvatar = comment.authorId?.avatar || '👤';
+        const canReply = !isTombstone && (comment.depth || 0) < this.maxDepth;
+        const isOwn = !isTombstone && this.currentUserId && comment.authorId?._id === this.currentUserId;
+        const editedMarker = comment.editedAt && !isTombstone
+            ? `<span class="comment-edited" title="Edited ${this.getTimeAgo(new Date(comment.editedAt))}">(edited)</span>`
+            : '';
+        const menuItems = isOwn ? `
+                            ${new Date(comment.editableUntil) > new Date() ? '<button class="comment-menu-item edit-comment-btn">✏️ Edit</button>' : ''}
+                            <button class="comment-menu-item delete-comment-btn">🗑️ Delete</button>`
+            : '<button class="comment-menu-item report-comment-btn">🚩 Report</button>';
+        const commentMenu = !isTombstone && this.currentUserId ? `
+                    <div class="comment-menu">
+                        <button class="comment-menu-btn" aria-label="Comment options">⋯</button>
+                        <div class="comment-menu-dropdown" style="display: none;">${menuItems}
+                        </div>
+                    </div>` : '';
+        const reactions = isTombstone ? '' : `
+                <div class="comment-reactions" data-comment-id="${comment._id}">
+                    <button class="reaction-btn like-btn ${isLiked ? 'liked' : ''}" data-likes="${comment.likes || 0}">
+                        <span class="like-icon">❤️</span>
+                        <span class="like-count">${comment.likes || 0}</span>
+                    </button>
+                    ${canReply ? '<button class="reaction-btn reply-btn">💬 Reply</button>' : ''}
+                    <button class="reaction-btn share-btn">🔄 Share</button>
+                </div>`;
 
         commentElement.innerHTML = `
             <div class="comment-avatar" style="background: linear-gradient(135deg, #ff0000, #cc0000);">
@@ -1074,35 +2062,99 @@ const CommentsModule = {
             </div>
             <div class="comment-content">
                 <div class="comment-header">
-                    <span class="comment-author">${authorName}</span>
-                    ${verifiedBadge}
+                    <span class="comment-author">${isTombstone ? '' : authorName}</span>
+                    ${isTombstone ? '' : verifiedBadge}
                     <span class="comment-time">${timeAgo}</span>
+                    ${editedMarker}
+                    ${commentMenu}
                 </div>
                 <p class="comment-text">${comment.text}</p>
-                <div class="comment-reactions" data-comment-id="${comment._id}">
-                    <button class="reaction-btn like-btn ${isLiked ? 'liked' : ''}" data-likes="${comment.likes || 0}">
-                        <span class="like-icon">❤️</span>
-                        <span class="like-count">${comment.likes || 0}</span>
-                    </button>
-                    <button class="reaction-btn reply-btn">💬 Reply</button>
-                    <button class="reaction-btn share-btn">🔄 Share</button>
-                </div>
+                ${reactions}
+                <button class="replies-toggle" style="display: none;"></button>
+                <div class="comment-replies"></div>
             </div>
         `;
 
-        const firstComment = commentsList.querySelector('.comment-item');
-        if (firstComment) {
-            commentsList.insertBefore(commentElement, firstComment);
+        // Only the first level ships with the thread; deeper levels load on expand
+        const repliesContainer = commentElement.querySelector('.comment-replies');
+        comment.repliesLoaded = Array.isArray(comment.replies) && comment.replies.length > 0;
+        comment.repliesExpanded = comment.repliesLoaded;
+        if (comment.repliesLoaded) {
+            comment.replies.forEach(reply => this.displayComment(reply, repliesContainer, false));
         } else {
-            commentsList.appendChild(commentElement);
+            repliesContainer.style.display = 'none';
         }
-        
-        this.attachCommentEventHandlers(commentElement, comment._id);
+        this.updateRepliesToggle(commentElement, comment);
+
+        this.attachCommentEventHandlers(commentElement, comment);
+        return commentElement;
+    },
+
+    // Elements that belong to this comment rather than to a nested reply
+    getThreadElements(commentElement) {
+        const content = commentElement.querySelector(':scope > .comment-content');
+        return {
+            header: content.querySelector(':scope > .comment-header'),
+            text: content.querySelector(':scope > .comment-text'),
+            toggle: content.querySelector(':scope > .replies-toggle'),
+            replies: content.querySelector(':scope > .comment-replies'),
+            reactions: content.querySelector(':scope > .comment-reactions')
+        };
+    },
+
+    updateRepliesToggle(commentElement, comment) {
+        const { toggle } = this.getThreadElements(commentElement);
+        const count = comment.replyCount || 0;
+
+        if (count === 0) {
+            toggle.style.display = 'none';
+            return;
+        }
+
+        toggle.style.display = '';
+        toggle.textContent = comment.repliesExpanded
+            ? 'Hide replies'
+            : `Show ${count} repl${count === 1 ? 'y' : 'ies'}`;
+    },
+
+    // Collapse/expand a thread, fetching its replies the first time
+    async toggleReplies(commentElement, comment, expand = !comment.repliesExpanded) {
+        const { replies } = this.getThreadElements(commentElement);
+
+        if (expand && !comment.repliesLoaded) {
+            try {
+                comment.replies = await window.apiService.getReplies(comment._id);
+                comment.repliesLoaded = true;
+                replies.innerHTML = '';
+                comment.replies.forEach(reply => this.displayComment(reply, replies, false));
+            } catch (error) {
+                console.error('Failed to load replies:', error);
+                window.walletManager?.showNotification('Failed to load replies', 'error');
+                return;
+            }
+        }
+
+        comment.repliesExpanded = expand;
+        replies.style.display = expand ? '' : 'none';
+        this.updateRepliesToggle(commentElement, comment);
     },
 
     // Attach event handlers to comment buttons
-    attachCommentEventHandlers(commentElement, commentId) {
-        const likeBtn = commentElement.querySelector('.like-btn');
+    attachCommentEventHandlers(commentElement, comment) {
+        const commentId = comment._id;
+        const { header, toggle, reactions } = this.getThreadElements(commentElement);
+
+        toggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.toggleReplies(commentElement, comment);
+        });
+
+        this.attachCommentMenuHandlers(commentElement, comment, header);
+
+        // Tombstones have no reactions
+        if (!reactions) return;
+
+        const likeBtn = reactions.querySelector('.like-btn');
         if (likeBtn) {
             likeBtn.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -1110,15 +2162,15 @@ const CommentsModule = {
             });
         }
         
-        const replyBtn = commentElement.querySelector('.reply-btn');
+        const replyBtn = reactions.querySelector('.reply-btn');
         if (replyBtn) {
             replyBtn.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.handleCommentReply(commentId);
+                this.handleCommentReply(commentElement, comment);
             });
         }
         
-        const shareBtn = commentElement.querySelector('.share-btn');
+        const shareBtn = reactions.querySelector('.share-btn');
         if (shareBtn) {
             shareBtn.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -1127,6 +2179,172 @@ const CommentsModule = {
         }
     },
 
+    // Overflow menu: Edit/Delete on the signed-in user's own comments, Report on others
+    attachCommentMenuHandlers(commentElement, comment, header) {
+        const menuBtn = header.querySelector('.comment-menu-btn');
+        if (!menuBtn) return;
+
+        const dropdown = header.querySelector('.comment-menu-dropdown');
+        const closeMenu = (e) => {
+            if (!dropdown.contains(e.target) && e.target !== menuBtn) {
+                dropdown.style.display = 'none';
+                document.removeEventListener('click', closeMenu);
+            }
+        };
+
+        menuBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const isOpen = dropdown.style.display !== 'none';
+            dropdown.style.display = isOpen ? 'none' : 'block';
+            if (isOpen) {
+                document.removeEventListener('click', closeMenu);
+            } else {
+                document.addEventListener('click', closeMenu);
+            }
+        });
+
+        dropdown.querySelector('.edit-comment-btn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            dropdown.style.display = 'none';
+            document.removeEventListener('click', closeMenu);
+            this.handleCommentEdit(commentElement, comment);
+        });
+
+        dropdown.querySelector('.delete-comment-btn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            dropdown.style.display = 'none';
+            document.removeEventListener('click', closeMenu);
+            this.handleCommentDelete(commentElement, comment);
+        });
+
+        dropdown.querySelector('.report-comment-btn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            dropdown.style.display = 'none';
+            document.removeEventListener('click', closeMenu);
+            this.handleCommentReport(commentElement, comment);
+        });
+    },
+
+    // Inline form to pick a report reason
+    handleCommentReport(commentElement, comment) {
+        const { text } = this.getThreadElements(commentElement);
+        if (!text || text.parentElement.querySelector(':scope > .comment-report-form')) return;
+
+        const form = document.createElement('form');
+        form.className = 'comment-reply-form comment-report-form';
+        form.innerHTML = `
+            <select class="report-reason">
+                ${Object.entries(this.reportReasons).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <textarea maxlength="300" placeholder="Anything moderators should know? (optional)"></textarea>
+            <div class="comment-reply-actions">
+                <button type="button" class="reply-cancel-btn">Cancel</button>
+                <button type="submit" class="reply-submit-btn">Report</button>
+            </div>
+        `;
+        text.insertAdjacentElement('afterend', form);
+
+        form.querySelector('.reply-cancel-btn').addEventListener('click', () => form.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitBtn = form.querySelector('.reply-submit-btn');
+            submitBtn.disabled = true;
+
+            try {
+                const reason = form.querySelector('.report-reason').value;
+                const details = form.querySelector('textarea').value.trim();
+                await window.apiService.reportComment(comment._id, reason, details || undefined);
+                form.remove();
+                window.walletManager?.showNotification('🚩 Thanks, moderators will take a look', 'success');
+            } catch (error) {
+                console.error('Failed to report comment:', error);
+                window.walletManager?.showNotification(error.message || 'Failed to report comment', 'error');
+                submitBtn.disabled = false;
+            }
+        });
+    },
+
+    // Swap the comment text for an inline editor
+    handleCommentEdit(commentElement, comment) {
+        const { text } = this.getThreadElements(commentElement);
+        if (!text || text.nextElementSibling?.classList.contains('comment-edit-form')) return;
+
+        const form = document.createElement('form');
+        form.className = 'comment-reply-form comment-edit-form';
+        form.innerHTML = `
+            <textarea maxlength="500"></textarea>
+            <div class="comment-reply-actions">
+                <button type="button" class="reply-cancel-btn">Cancel</button>
+                <button type="submit" class="reply-submit-btn">Save</button>
+            </div>
+        `;
+
+        const textarea = form.querySelector('textarea');
+        textarea.value = comment.text;
+        text.style.display = 'none';
+        text.insertAdjacentElement('afterend', form);
+        textarea.focus();
+
+        const close = () => {
+            form.remove();
+            text.style.display = '';
+        };
+
+        form.querySelector('.reply-cancel-btn').addEventListener('click', close);
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const newText = textarea.value.trim();
+            if (!newText) return;
+            if (newText === comment.text) {
+                close();
+                return;
+            }
+
+            const submitBtn = form.querySelector('.reply-submit-btn');
+            submitBtn.disabled = true;
+
+            try {
+                const updated = await window.apiService.editComment(comment._id, newText);
+                this.replaceComment(commentElement, comment, updated);
+                window.walletManager?.showNotification('✏️ Comment updated', 'success');
+            } catch (error) {
+                console.error('Failed to edit comment:', error);
+                window.walletManager?.showNotification(error.message || 'Failed to edit comment', 'error');
+                submitBtn.disabled = false;
+            }
+        });
+    },
+
+    async handleCommentDelete(commentElement, comment) {
+        if (!confirm('Delete this comment? Replies will stay visible.')) return;
+
+        try {
+            const deleted = await window.apiService.deleteComment(comment._id);
+            this.replaceComment(commentElement, comment, deleted);
+            window.walletManager?.showNotification('🗑️ Comment deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete comment:', error);
+            window.walletManager?.showNotification(error.message || 'Failed to delete comment', 'error');
+        }
+    },
+
+    // Re-render a comment in place after an edit or delete, keeping its thread
+    replaceComment(commentElement, comment, updated) {
+        const { replies, replyCount, repliesLoaded } = comment;
+        Object.assign(comment, updated, {
+            replies: repliesLoaded ? replies : (updated.replies || []),
+            replyCount
+        });
+
+        const wasExpanded = comment.repliesExpanded;
+        const newElement = this.createCommentElement(comment);
+        commentElement.replaceWith(newElement);
+        if (repliesLoaded && !wasExpanded) {
+            this.toggleReplies(newElement, comment, false);
+        }
+        return newElement;
+    },
+
     // Handle like/unlike
     async handleCommentLike(likeBtn, commentId) {
         if (!window.walletManager?.isConnected) {
@@ -1162,14 +2380,81 @@ const CommentsModule = {
         }
     },
 
-    handleCommentReply(commentId) {
-        if (window.walletManager) {
-            window.walletManager.showNotification('Reply feature coming soon!', 'info');
+    // Open an inline reply form under the comment
+    handleCommentReply(commentElement, comment) {
+        if (!window.walletManager?.canComment()) {
+            return;
+        }
+
+        const { reactions } = this.getThreadElements(commentElement);
+        const existingForm = reactions.nextElementSibling?.classList.contains('comment-reply-form')
+            ? reactions.nextElementSibling
+            : null;
+        if (existingForm) {
+            existingForm.querySelector('textarea').focus();
+            return;
+        }
+
+        const form = document.createElement('form');
+        form.className = 'comment-reply-form';
+        form.innerHTML = `
+            <textarea maxlength="500" placeholder="Reply to ${comment.authorId?.displayName || 'Anonymous'}..."></textarea>
+            <div class="comment-reply-actions">
+                <button type="button" class="reply-cancel-btn">Cancel</button>
+                <button type="submit" class="reply-submit-btn">Reply</button>
+            </div>
+        `;
+        reactions.insertAdjacentElement('afterend', form);
+
+        const textarea = form.querySelector('textarea');
+        textarea.focus();
+
+        form.querySelector('.reply-cancel-btn').addEventListener('click', () => form.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const text = textarea.value.trim();
+            if (!text) return;
+
+            const submitBtn = form.querySelector('.reply-submit-btn');
+            submitBtn.disabled = true;
+
+            if (await this.addReply(commentElement, comment, text)) {
+                form.remove();
+            } else {
+                submitBtn.disabled = false;
+            }
+        });
+    },
+
+    async addReply(commentElement, comment, text) {
+        try {
+            const reply = await window.apiService.postReply(comment._id, text);
+
+            if (this.commentsById.has(reply._id)) {
+                // Already shown via the live stream
+                await this.toggleReplies(commentElement, comment, true);
+            } else if (comment.repliesLoaded) {
+                comment.replyCount = (comment.replyCount || 0) + 1;
+                comment.replies.push(reply);
+                this.displayComment(reply, this.getThreadElements(commentElement).replies, false);
+                await this.toggleReplies(commentElement, comment, true);
+            } else {
+                comment.replyCount = (comment.replyCount || 0) + 1;
+                // Loading the thread picks up the new reply along with the rest
+                await this.toggleReplies(commentElement, comment, true);
+            }
+
+            window.walletManager?.showNotification('💬 Reply added!', 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to add reply:', error);
+            window.walletManager?.showNotification(error.message || 'Failed to add reply', 'error');
+            return false;
         }
     },
 
     handleCommentShare(commentId) {
-        const comment = this.allComments.find(c => c._id === commentId);
+        const comment = this.commentsById.get(commentId);
         if (comment) {
             const shareText = `Check out this comment on JEETMASH: "${comment.text.substring(0, 100)}..."`;
             const shareUrl = window.location.href;
@@ -1217,6 +2502,9 @@ const InitializationModule = {
         
         this.initializeEventListeners();
         await this.initializeMainApp();
+        
+        // Route once the default views have loaded so they don't overwrite it
+        await RouterModule.start();
     },
     
     initializeEventListeners() {
@@ -1246,15 +2534,17 @@ const InitializationModule = {
         }
         
         if (searchInput) {
-            searchInput.addEventListener('keypress', async (e) => {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    await SearchModule.searchProfile(searchInput.value);
-                }
-            });
+            SearchModule.init();
             searchInput.placeholder = "Search profiles... (e.g. @0xfrenship)";
         }
         
+        // Close search results when clicking elsewhere
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-container')) {
+                SearchModule.hideResults();
+            }
+        });
+        
         // Vote buttons
         const leftVoteBtn = document.querySelector('#left-profile .vote-btn');
         const rightVoteBtn = document.querySelector('#right-profile .vote-btn');
@@ -1290,15 +2580,18 @@ const InitializationModule = {
             });
         }
         
-        // Leaderboard tabs
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', function() {
-                document.querySelectorAll('.tab-btn').forEach(tab => tab.classList.remove('active'));
-                this.classList.add('active');
-                LeaderboardModule.updateLeaderboard();
+        // Profile history range tabs
+        document.querySelectorAll('.history-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                if (ProfileHistoryModule.currentProfileId) {
+                    ProfileHistoryModule.load(ProfileHistoryModule.currentProfileId, tab.dataset.bucket);
+                }
             });
         });
         
+        // Leaderboard tabs go through the router (showLeaderboardView), which
+        // selects the tab and loads the period
+        
         // Profile comments
         const profileSubmitBtn = document.getElementById('profile-submit-comment');
         const profileTextarea = document.getElementById('profile-comment-textarea');
@@ -1357,6 +2650,10 @@ const InitializationModule = {
             if (document.getElementById('kol-holdings-section')) {
                 KOLModule.loadKOLData('all');
             }
+            
+            // Start live updates once the initial views are in place
+            LiveStatsModule.init();
+            RealtimeModule.init();
         } catch (error) {
             console.error('Failed to initialize app:', error);
             alert('Failed to connect to server. Please make sure the backend is running.');
@@ -1378,90 +2675,102 @@ const InitializationModule = {
 // Store current profile being viewed
 window.currentViewedProfile = null;
 
-// Updated profile voting function
+// Cast, switch or withdraw (click your current verdict again) a Chad/Jeet verdict
 window.handleProfileVote = async function(voteType) {
     // Check wallet connection first
     if (!window.walletManager?.canVote()) {
         return;
     }
 
-    const profileName = document.getElementById('detail-name')?.textContent || 'Unknown';
+    const profile = window.currentViewedProfile;
+    if (!profile || !profile._id) {
+        return;
+    }
     
     // Get vote buttons
     const chadBtn = document.querySelector('.chad-vote-btn');
     const jeetBtn = document.querySelector('.jeet-vote-btn');
     
-    // Check if already voted
-    if (chadBtn.classList.contains('voted') || jeetBtn.classList.contains('voted')) {
+    // Ignore clicks while a verdict is being saved
+    if (chadBtn.classList.contains('voting') || jeetBtn.classList.contains('voting')) {
         return;
     }
     
+    const isWithdrawal = profile.myVerdict === voteType;
+    
     try {
-        // Get profile from backend first if we don't have the ID
-        if (!window.currentViewedProfile || !window.currentViewedProfile._id) {
-            const profile = await window.apiService.getProfileByUsername(profileName);
-            if (!profile) {
-                throw new Error('Profile not found');
-            }
-            window.currentViewedProfile = profile;
-        }
-        
         // Play vote sound
         if (window.AudioManager) {
             AudioManager.playVoteSound();
         }
         
         // Add voting animation
-        if (voteType === 'chad') {
-            chadBtn.classList.add('voting', 'voted');
-            jeetBtn.style.opacity = '0.5';
-        } else {
-            jeetBtn.classList.add('voting', 'voted');
-            chadBtn.style.opacity = '0.5';
-        }
+        (voteType === 'chad' ? chadBtn : jeetBtn).classList.add('voting');
         
-        // Submit vote to backend
-        const result = await window.apiService.submitProfileVote(
-            window.currentViewedProfile._id, 
-            voteType
-        );
-        
-        // Update vote counts with backend response
-        const chadCount = document.getElementById('chad-count');
-        const jeetCount = document.getElementById('jeet-count');
+        // Submit verdict to backend
+        const result = isWithdrawal
+            ? await window.apiService.withdrawProfileVote(profile._id)
+            : await window.apiService.submitProfileVote(profile._id, voteType);
         
-        if (result.chadVotes !== undefined) {
-            chadCount.textContent = formatVoteCount(result.chadVotes);
-        }
-        if (result.jeetVotes !== undefined) {
-            jeetCount.textContent = formatVoteCount(result.jeetVotes);
-        }
+        profile.myVerdict = result.verdict;
+        profile.chadVotes = result.chadVotes;
+        profile.jeetVotes = result.jeetVotes;
         
-        // Force update percentages based on new counts
-        updateVotePercentages();
+        // Update vote counts with backend response
+        document.getElementById('chad-count').textContent = formatVoteCount(result.chadVotes);
+        document.getElementById('jeet-count').textContent = formatVoteCount(result.jeetVotes);
+        updateVotePercentages(result.chadPercentage, result.jeetPercentage);
+        showProfileVerdict(result.verdict);
         
         // Show success message
         if (window.walletManager) {
             window.walletManager.showNotification(
-                `🗳️ Voted ${voteType.toUpperCase()} for ${profileName}!`, 
+                isWithdrawal
+                    ? `Removed your ${voteType.toUpperCase()} vote for ${profile.username}`
+                    : `🗳️ Voted ${voteType.toUpperCase()} for ${profile.username}!`,
                 'success'
             );
         }
         
     } catch (error) {
         console.error('Profile vote failed:', error);
-        // Reset vote state on error
-        chadBtn.classList.remove('voting', 'voted');
-        jeetBtn.classList.remove('voting', 'voted');
-        chadBtn.style.opacity = '1';
-        jeetBtn.style.opacity = '1';
         
         if (window.walletManager) {
             window.walletManager.showNotification('Vote failed. Please try again.', 'error');
         }
+    } finally {
+        chadBtn.classList.remove('voting');
+        jeetBtn.classList.remove('voting');
     }
 };
 
+// Live Chad/Jeet tallies for the profile being viewed
+function updateViewedProfileVerdicts({ profileId, chadVotes, jeetVotes, chadPercentage, jeetPercentage }) {
+    const profile = window.currentViewedProfile;
+    if (!profile || profile._id !== profileId) return;
+    
+    profile.chadVotes = chadVotes;
+    profile.jeetVotes = jeetVotes;
+    
+    const chadCount = document.getElementById('chad-count');
+    const jeetCount = document.getElementById('jeet-count');
+    if (chadCount) chadCount.textContent = formatVoteCount(chadVotes);
+    if (jeetCount) jeetCount.textContent = formatVoteCount(jeetVotes);
+    updateVotePercentages(chadPercentage, jeetPercentage);
+}
+
+// Highlight the user's current verdict and dim the other button
+function showProfileVerdict(verdict) {
+    const chadBtn = document.querySelector('.chad-vote-btn');
+    const jeetBtn = document.querySelector('.jeet-vote-btn');
+    if (!chadBtn || !jeetBtn) return;
+    
+    chadBtn.classList.toggle('voted', verdict === 'chad');
+    jeetBtn.classList.toggle('voted', verdict === 'jeet');
+    chadBtn.style.opacity = verdict === 'jeet' ? '0.5' : '1';
+    jeetBtn.style.opacity = verdict === 'chad' ? '0.5' : '1';
+}
+
 // Format vote count (1234 -> 1.2K)
 function formatVoteCount(count) {
     if (count >= 1000) {
@@ -1552,94 +2861,14 @@ function updateVotePercentages(chadPercent, jeetPercent) {
     if (jeetStat) jeetStat.textContent = jeetPercent + '% Jeet';
 }
 
-// Also update the handleProfileVote to ensure percentages are recalculated
-window.handleProfileVote = async function(voteType) {
-    // Check wallet connection first
-    if (!window.walletManager?.canVote()) {
-        return;
-    }
-
-    const profileName = document.getElementById('detail-name')?.textContent || 'Unknown';
-    
-    // Get vote buttons
-    const chadBtn = document.querySelector('.chad-vote-btn');
-    const jeetBtn = document.querySelector('.jeet-vote-btn');
-    
-    // Check if already voted
-    if (chadBtn.classList.contains('voted') || jeetBtn.classList.contains('voted')) {
-        return;
-    }
-    
-    try {
-        // Get profile from backend first if we don't have the ID
-        if (!window.currentViewedProfile || !window.currentViewedProfile._id) {
-            const profile = await window.apiService.getProfileByUsername(profileName);
-            if (!profile) {
-                throw new Error('Profile not found');
-            }
-            window.currentViewedProfile = profile;
-        }
-        
-        // Play vote sound
-        if (window.AudioManager) {
-            AudioManager.playVoteSound();
-        }
-        
-        // Add voting animation
-        if (voteType === 'chad') {
-            chadBtn.classList.add('voting', 'voted');
-            jeetBtn.style.opacity = '0.5';
-        } else {
-            jeetBtn.classList.add('voting', 'voted');
-            chadBtn.style.opacity = '0.5';
-        }
-        
-        // Submit vote to backend
-        const result = await window.apiService.submitProfileVote(
-            window.currentViewedProfile._id, 
-            voteType
-        );
-        
-        // Update vote counts with backend response
-        const chadCount = document.getElementById('chad-count');
-        const jeetCount = document.getElementById('jeet-count');
-        
-        if (result.chadVotes !== undefined) {
-            chadCount.textContent = formatVoteCount(result.chadVotes);
-        }
-        if (result.jeetVotes !== undefined) {
-            jeetCount.textContent = formatVoteCount(result.jeetVotes);
-        }
-        
-        // Force update percentages based on new counts
-        updateVotePercentages();
-        
-        // Show success message
-        if (window.walletManager) {
-            window.walletManager.showNotification(
-                `🗳️ Voted ${voteType.toUpperCase()} for ${profileName}!`, 
-                'success'
-            );
-        }
-        
-    } catch (error) {
-        console.error('Profile vote failed:', error);
-        // Reset vote state on error
-        chadBtn.classList.remove('voting', 'voted');
-        jeetBtn.classList.remove('voting', 'voted');
-        chadBtn.style.opacity = '1';
-        jeetBtn.style.opacity = '1';
-        
-        if (window.walletManager) {
-            window.walletManager.showNotification('Vote failed. Please try again.', 'error');
-        }
-    }
-};
-
-
 // ==================== GLOBAL FUNCTION EXPORTS ====================
 // Export functions that are called from HTML onclick attributes
-window.showSection = (section) => NavigationModule.showSection(section);
+// Sections with their own URL go through the router
+const SECTION_PATHS = { home: '/', profiles: '/profiles', 'kol-holdings': '/kol' };
+window.showSection = (section) => SECTION_PATHS[section]
+    ? RouterModule.navigate(SECTION_PATHS[section])
+    : NavigationModule.showSection(section);
+window.navigateTo = (path) => RouterModule.navigate(path);
 window.scrollToElement = (elementId) => NavigationModule.scrollToElement(elementId);
 window.showProfileDetail = (username) => ProfileModule.showProfileDetail(username);
 window.ProfileModule = ProfileModule;
@@ -1670,12 +2899,8 @@ window.connectWallet = () => {
 
 // Leaderboard view handler
 window.showLeaderboardView = async function(period) {
-    // Update active tab
-    document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-    event.target.classList.add('active');
-    
-    // Fetch and display leaderboard for selected period
-    await LeaderboardModule.updateLeaderboard(period);
+    // Each period has its own URL, e.g. /leaderboard/week
+    await RouterModule.navigate(`/leaderboard/${period}`);
 };
 
 // Info dropdown toggle
@@ -1729,4 +2954,5 @@ window.InitializationModule = InitializationModule;
 window.LeaderboardModule = LeaderboardModule;
 window.ChampionsModule = ChampionsModule;
 window.ProfilesModule = ProfilesModule;
-window.SearchModule = SearchModule;
\ No newline at end of file
+window.SearchModule = SearchModule;
+window.RouterModule = RouterModule;
\ No newline at end of file
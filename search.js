@@ -0,0 +1,103 @@
+// search.js - Typo-tolerant ranking for profile search
+
+// Lowercase, trim and drop a leading @ so "@Foo" and "foo" search the same
+const normalizeQuery = (query) => {
+  return (query || '').trim().replace(/^@/, '').toLowerCase();
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Edit distance counting insertions, deletions, substitutions and swaps of
+// adjacent characters (optimal string alignment)
+const editDistance = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+};
+
+// Typos allowed before a name stops matching: one per four characters typed
+const maxTypos = (query) => Math.max(1, Math.floor(query.length / 4));
+
+// How well `query` matches one name, from 0 (no match) to 1 (exact)
+const scoreName = (query, name) => {
+  if (!name) return 0;
+  name = normalizeQuery(name);
+
+  if (name === query) return 1;
+  if (name.startsWith(query)) return 0.9;
+  if (name.includes(query)) return 0.75;
+
+  // Compare against prefixes of the name too, so "cryptodegn" finds
+  // "cryptodegenking" rather than only full-length typos
+  let distance = editDistance(query, name);
+  let prefixMatch = false;
+  for (let length = query.length - 1; length <= query.length + 1; length++) {
+    if (length < 1 || length >= name.length) continue;
+    const prefixDistance = editDistance(query, name.slice(0, length));
+    if (prefixDistance < distance) {
+      distance = prefixDistance;
+      prefixMatch = true;
+    }
+  }
+  if (distance > maxTypos(query)) return 0;
+
+  // Typo'd prefixes rank a little below typo'd full names
+  return (prefixMatch ? 0.6 : 0.7) * (1 - distance / Math.max(query.length, 1));
+};
+
+// Three-character slices of a name, padded so its first letters form slices
+// too ("  c", " cr", "cry", ...). A typo changes at most three of them (four
+// for swapped letters), so names close to a query share most of its grams.
+const nameGrams = (name) => {
+  const padded = `  ${normalizeQuery(name)}`;
+  const grams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// Grams of all of a profile's names, stored on it to prefilter typo matches
+const searchGrams = (profile) => {
+  return [...new Set([profile.username, profile.handle, profile.twitterHandle].flatMap(nameGrams))];
+};
+
+// Fewest grams a name has to share with the query to be within typo range
+const minSharedGrams = (query) => {
+  return Math.max(1, nameGrams(query).length - 4 * maxTypos(query));
+};
+
+// Rank a profile for a normalized query. `textScore` is MongoDB's $text
+// relevance, which covers words in the bio.
+const scoreProfile = (query, profile, textScore = 0) => {
+  const nameScore = Math.max(
+    scoreName(query, profile.username),
+    scoreName(query, profile.handle),
+    scoreName(query, profile.twitterHandle)
+  );
+  const bioScore = textScore > 0 ? Math.min(textScore, 2) * 0.25 : 0;
+
+  return Math.max(nameScore, bioScore);
+};
+
+module.exports = {
+  normalizeQuery,
+  escapeRegex,
+  editDistance,
+  nameGrams,
+  searchGrams,
+  minSharedGrams,
+  scoreProfile
+};
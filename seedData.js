@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
+const { searchGrams } = require('./search');
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jeetmash');
@@ -17,11 +18,12 @@ const profileSchema = new mongoose.Schema({
   emoji: { type: String },
   change: { type: String },
   votes: { type: Number, default: 0 },
-  score: { type: Number, default: 0 },
+  rating: { type: Number, default: 1500 },
   battleWins: { type: Number, default: 0 },
   battleLosses: { type: Number, default: 0 },
   chadVotes: { type: Number, default: 0 },
   jeetVotes: { type: Number, default: 0 },
+  searchGrams: { type: [String] },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -41,7 +43,6 @@ const sampleProfiles = [
     emoji: '👑',
     change: '+15.7%',
     votes: Math.floor(Math.random() * 1000),
-    score: Math.floor(Math.random() * 500),
     chadVotes: Math.floor(Math.random() * 100),
     jeetVotes: Math.floor(Math.random() * 50)
   },
@@ -56,7 +57,6 @@ const sampleProfiles = [
     emoji: '📜',
     change: '-8.2%',
     votes: Math.floor(Math.random() * 1000),
-    score: Math.floor(Math.random() * 500),
     chadVotes: Math.floor(Math.random() * 100),
     jeetVotes: Math.floor(Math.random() * 50)
   },
@@ -71,7 +71,6 @@ const sampleProfiles = [
     emoji: '💎',
     change: '+42.1%',
     votes: Math.floor(Math.random() * 1000),
-    score: Math.floor(Math.random() * 500),
     chadVotes: Math.floor(Math.random() * 100),
     jeetVotes: Math.floor(Math.random() * 50)
   },
@@ -86,7 +85,6 @@ const sampleProfiles = [
     emoji: '🚀',
     change: '-23.5%',
     votes: Math.floor(Math.random() * 1000),
-    score: Math.floor(Math.random() * 500),
     chadVotes: Math.floor(Math.random() * 100),
     jeetVotes: Math.floor(Math.random() * 50)
   },
@@ -101,7 +99,6 @@ const sampleProfiles = [
     emoji: '🐋',
     change: '+8.9%',
     votes: Math.floor(Math.random() * 1000),
-    score: Math.floor(Math.random() * 500),
     chadVotes: Math.floor(Math.random() * 100),
     jeetVotes: Math.floor(Math.random() * 50)
   },
@@ -116,7 +113,6 @@ const sampleProfiles = [
     emoji: '🦐',
     change: '+2.1%',
     votes: Math.floor(Math.random() * 1000),
-    score: Math.floor(Math.random() * 500),
     chadVotes: Math.floor(Math.random() * 100),
     jeetVotes: Math.floor(Math.random() * 50)
   },
@@ -131,7 +127,6 @@ const sampleProfiles = [
     emoji: '📊',
     change: '+11.3%',
     votes: Math.floor(Math.random() * 1000),
-    score: Math.floor(Math.random() * 500),
     chadVotes: Math.floor(Math.random() * 100),
     jeetVotes: Math.floor(Math.random() * 50)
   },
@@ -146,7 +141,6 @@ const sampleProfiles = [
     emoji: '🪣',
     change: '-67.8%',
     votes: Math.floor(Math.random() * 1000),
-    score: Math.floor(Math.random() * 500),
     chadVotes: Math.floor(Math.random() * 100),
     jeetVotes: Math.floor(Math.random() * 50)
   }
@@ -161,7 +155,10 @@ async function seedDatabase() {
     console.log('🧹 Cleared existing profiles');
     
     // Insert sample profiles
-    const createdProfiles = await Profile.insertMany(sampleProfiles);
+    const createdProfiles = await Profile.insertMany(sampleProfiles.map(profile => ({
+      ...profile,
+      searchGrams: searchGrams(profile)
+    })));
     console.log(`✅ Created ${createdProfiles.length} sample profiles`);
     
     console.log('🎉 Database seeding completed successfully!');
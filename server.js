@@ -5,6 +5,7 @@ const cors = require('cors');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const path = require('path');
+const fs = require('fs');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const morgan = require('morgan');
@@ -12,7 +13,16 @@ const compression = require('compression');
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss');
 const hpp = require('hpp');
+const crypto = require('crypto');
 require('dotenv').config();
+const { DEFAULT_RATING, calculateBattleRatings } = require('./rating');
+const { ROLES, hasPermission } = require('./roles');
+const { normalizeQuery, escapeRegex, nameGrams, searchGrams, minSharedGrams, scoreProfile } = require('./search');
+const { decodeBase58, buildLoginMessage, verifyWalletSignature } = require('./walletAuth');
+const { OAUTH_STATE_TTL, createTwitterOAuthProvider, createTwitterLinkFlow } = require('./twitterOAuth');
+const { shareCardFormat, renderProfileCardImage, renderProfileMeta } = require('./shareCard');
+const { renderBattleEmbed, renderProfileEmbed, renderEmbedError } = require('./embedPages');
+const { parseLimit, encodeCursor, decodeCursor, keysetFilter, toPage } = require('./pagination');
 
 const app = express();
 
@@ -20,20 +30,25 @@ const app = express();
 app.set('trust proxy', 1);
 
 // Security middleware
+const CSP_DIRECTIVES = {
+    defaultSrc: ["'self'"],
+    styleSrc: ["'self'", "'unsafe-inline'"],
+    scriptSrc: ["'self'"],
+    imgSrc: ["'self'", "data:", "https:"],
+    connectSrc: ["'self'"],
+    fontSrc: ["'self'"],
+    objectSrc: ["'none'"],
+    mediaSrc: ["'self'"],
+    frameSrc: ["'none'"],
+    // Only the /embed routes may be framed; see embedSecurity
+    frameAncestors: ["'none'"],
+};
+
 app.use(helmet({
     contentSecurityPolicy: {
-        directives: {
-            defaultSrc: ["'self'"],
-            styleSrc: ["'self'", "'unsafe-inline'"],
-            scriptSrc: ["'self'"],
-            imgSrc: ["'self'", "data:", "https:"],
-            connectSrc: ["'self'"],
-            fontSrc: ["'self'"],
-            objectSrc: ["'none'"],
-            mediaSrc: ["'self'"],
-            frameSrc: ["'none'"],
-        },
+        directives: CSP_DIRECTIVES,
     },
+    frameguard: { action: 'deny' },
     crossOriginEmbedderPolicy: false
 }));
 
@@ -61,7 +76,7 @@ app.use(cors({
         return callback(new Error(msg), false);
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
     exposedHeaders: ['Authorization']
 }));
@@ -76,6 +91,9 @@ const generalLimiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
+    // Live stream reconnects would use up the budget; /api/stream caps
+    // connections per IP instead
+    skip: (req) => process.env.NODE_ENV === 'test' || req.path === '/api/stream'
 });
 
 // Voting rate limiting
@@ -102,8 +120,10 @@ if (process.env.NODE_ENV !== 'test') {
     app.use(morgan('combined'));
 }
 
-// Compression middleware
-app.use(compression());
+// Compression middleware (server-sent events must reach clients as written)
+app.use(compression({
+    filter: (req, res) => req.path !== '/api/stream' && compression.filter(req, res)
+}));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -199,6 +219,9 @@ const userSchema = new mongoose.Schema({
   twitterHandle: { type: String, sparse: true },
   displayName: { type: String },
   avatar: { type: String },
+  role: { type: String, enum: ROLES, default: 'user' },
+  bannedAt: { type: Date, default: null },
+  banReason: { type: String, maxLength: 300 },
   createdAt: { type: Date, default: Date.now },
   lastActive: { type: Date, default: Date.now }
 });
@@ -224,30 +247,54 @@ const profileSchema = new mongoose.Schema({
   
   // Voting stats
   votes: { type: Number, default: 0 },
-  score: { type: Number, default: 0 },
+  rating: { type: Number, default: DEFAULT_RATING },
   battleWins: { type: Number, default: 0 },
   battleLosses: { type: Number, default: 0 },
-
-  // Voting history tracking
-  votesHistory: [{
-    voterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    timestamp: { type: Date, default: Date.now }
-  }],
   
   // Chad/Jeet voting
   chadVotes: { type: Number, default: 0 },
   jeetVotes: { type: Number, default: 0 },
+
+  // Claiming by the X account owner
+  claimedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  claimedAt: { type: Date },
+  verified: { type: Boolean, default: false },
+
+  // Archived profiles leave battles, listings and leaderboards but keep
+  // their page, votes and history
+  archivedAt: { type: Date, default: null },
+  archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  // Name grams for typo-tolerant search (see search.js)
+  searchGrams: { type: [String], select: false },
   
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+const SEARCH_NAME_FIELDS = ['username', 'handle', 'twitterHandle'];
+
+// Keep the search grams in step with the names
+profileSchema.pre('validate', function() {
+  if (this.isNew || this.isModified(SEARCH_NAME_FIELDS)) {
+    this.searchGrams = searchGrams(this);
+  }
+});
+
+// Filter for profiles that are still in play
+const ACTIVE_PROFILE = { archivedAt: null };
+
 // Profile indexes for query optimization
 profileSchema.index({ username: 1 });
+profileSchema.index({ archivedAt: 1, rating: -1 });
+profileSchema.index(
+  { username: 'text', handle: 'text', bio: 'text' },
+  { weights: { username: 10, handle: 10, bio: 2 }, name: 'profile_search' }
+);
+profileSchema.index({ searchGrams: 1 });
 profileSchema.index({ votes: -1 });
-profileSchema.index({ score: -1 });
+profileSchema.index({ rating: -1 });
 profileSchema.index({ createdAt: -1 });
-profileSchema.index({ 'votesHistory.timestamp': -1 });
 profileSchema.index({ chadVotes: -1, jeetVotes: -1 });
 
 // Vote Schema
@@ -255,64 +302,433 @@ const voteSchema = new mongoose.Schema({
   voterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   winnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
   loserId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+  ticketId: { type: String },
+
+  // Ratings of both profiles right after this vote
+  winnerRating: { type: Number },
+  loserRating: { type: Number },
   timestamp: { type: Date, default: Date.now }
 });
 
 // Vote indexes
 voteSchema.index({ voterId: 1, timestamp: -1 });
-voteSchema.index({ winnerId: 1 });
-voteSchema.index({ timestamp: -1 });
+voteSchema.index({ voterId: 1, winnerId: 1 });
+voteSchema.index({ voterId: 1, loserId: 1 });
+voteSchema.index(
+  { voterId: 1, ticketId: 1 },
+  { unique: true, partialFilterExpression: { ticketId: { $type: 'string' } } }
+);
+voteSchema.index({ winnerId: 1, timestamp: -1 });
+voteSchema.index({ loserId: 1, timestamp: -1 });
+voteSchema.index({ timestamp: -1, winnerId: 1, loserId: 1 });
+
+// Profile Verdict Schema (a user's current Chad/Jeet verdict on a profile)
+const PROFILE_VERDICTS = ['chad', 'jeet'];
+
+const profileVerdictSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+  verdict: { type: String, enum: PROFILE_VERDICTS, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Profile verdict indexes
+profileVerdictSchema.index({ userId: 1, profileId: 1 }, { unique: true });
+profileVerdictSchema.index({ profileId: 1 });
+
+// Verdict Event Schema (append-only log of verdict changes, for history charts)
+const verdictEventSchema = new mongoose.Schema({
+  profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  from: { type: String, enum: [...PROFILE_VERDICTS, null], default: null },
+  to: { type: String, enum: [...PROFILE_VERDICTS, null], default: null },
+  timestamp: { type: Date, default: Date.now }
+});
+
+// Verdict event indexes
+verdictEventSchema.index({ profileId: 1, timestamp: -1 });
+
+// Leaderboard Snapshot Schema (one per period per UTC day)
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  period: { type: String, enum: ['day', 'week', 'month', 'all'], required: true },
+  date: { type: String, required: true }, // YYYY-MM-DD (UTC)
+  takenAt: { type: Date, default: Date.now },
+  rankings: [{
+    _id: false,
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
+    rank: { type: Number },
+    wins: { type: Number },
+    losses: { type: Number },
+    net: { type: Number }
+  }]
+});
+
+// Leaderboard snapshot indexes
+leaderboardSnapshotSchema.index({ period: 1, date: 1 }, { unique: true });
+leaderboardSnapshotSchema.index({ period: 1, takenAt: -1 });
 
 // Comment Schema
+const COMMENT_MODERATION_STATUSES = ['visible', 'pending', 'approved', 'removed'];
+
 const commentSchema = new mongoose.Schema({
   profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
   authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   text: { type: String, required: true, maxLength: 500 },
   likes: { type: Number, default: 0 },
   likedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+
+  // Threading: top-level comments have no parent and depth 0
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  depth: { type: Number, default: 0 },
+  replyCount: { type: Number, default: 0 },
+
+  // Prior revisions, oldest first, each stamped with when it was written;
+  // the current text stays in `text`
+  edits: [{
+    text: { type: String, required: true },
+    editedAt: { type: Date, required: true }
+  }],
+  editedAt: { type: Date, default: null },
+
+  // Soft delete keeps the row so reply threads stay attached
+  deleted: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+
+  // Moderation: heavily reported comments are hidden until a moderator
+  // approves or removes them
+  reportCount: { type: Number, default: 0 },
+  moderationStatus: { type: String, enum: COMMENT_MODERATION_STATUSES, default: 'visible' },
+
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
 // Comment indexes
-commentSchema.index({ profileId: 1, createdAt: -1 });
+commentSchema.index({ profileId: 1, parentId: 1, createdAt: -1 });
+commentSchema.index({ parentId: 1, createdAt: 1 });
 commentSchema.index({ authorId: 1 });
 commentSchema.index({ likes: -1 });
+commentSchema.index({ moderationStatus: 1, updatedAt: -1 });
+
+// Report Schema: one report per user per comment
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'scam', 'other'];
+
+const reportSchema = new mongoose.Schema({
+  commentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', required: true },
+  reporterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  details: { type: String, maxLength: 300 },
+  status: { type: String, enum: ['open', 'resolved'], default: 'open' },
+  resolution: { type: String, enum: ['approved', 'removed'] },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Report indexes
+reportSchema.index({ commentId: 1, reporterId: 1 }, { unique: true });
+reportSchema.index({ status: 1, createdAt: 1 });
+
+// Profile Submission Schema: community nominations awaiting review
+const profileSubmissionSchema = new mongoose.Schema({
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  username: { type: String, required: true },
+  twitterHandle: { type: String, required: true },
+  bio: { type: String, maxLength: 280 },
+  evidenceLinks: [{ type: String }],
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String, maxLength: 300 },
+  profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Profile submission indexes
+profileSubmissionSchema.index({ status: 1, createdAt: 1 });
+profileSubmissionSchema.index({ submittedBy: 1, createdAt: -1 });
+profileSubmissionSchema.index({ twitterHandle: 1, status: 1 });
+
+// Audit Log Schema: append-only record of moderator actions
+const AUDIT_ACTIONS = [
+  'comment.approve', 'comment.remove',
+  'user.ban', 'user.unban', 'user.role',
+  'profile.create', 'profile.update', 'profile.archive', 'profile.restore',
+  'submission.approve', 'submission.reject'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  targetType: { type: String, enum: ['comment', 'user', 'profile', 'submission'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  reason: { type: String, maxLength: 300 },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Audit log indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Login Nonce Schema
+const loginNonceSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true },
+  nonce: { type: String, required: true, unique: true },
+  domain: { type: String, required: true },
+  issuedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+// Login nonce indexes (expired nonces are removed by the TTL index)
+loginNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginNonceSchema.index({ walletAddress: 1 });
+
+// Session Schema (one per signed-in device, holds the current refresh token)
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null }
+});
+
+// Session indexes (expired sessions are removed by the TTL index)
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// OAuth State Schema (pending X account link, keyed by the OAuth `state`)
+const oauthStateSchema = new mongoose.Schema({
+  state: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  codeVerifier: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+// OAuth state indexes (abandoned flows are removed by the TTL index)
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Models
 const User = mongoose.model('User', userSchema);
 const Profile = mongoose.model('Profile', profileSchema);
 const Vote = mongoose.model('Vote', voteSchema);
 const Comment = mongoose.model('Comment', commentSchema);
+const Report = mongoose.model('Report', reportSchema);
+const ProfileSubmission = mongoose.model('ProfileSubmission', profileSubmissionSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const ProfileVerdict = mongoose.model('ProfileVerdict', profileVerdictSchema);
+const VerdictEvent = mongoose.model('VerdictEvent', verdictEventSchema);
+const LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
+const LoginNonce = mongoose.model('LoginNonce', loginNonceSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
 
 // ==================== MIDDLEWARE ====================
 
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// Resolve the bearer token to its user and live session; throws if invalid
+const authenticateRequest = async (req) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    throw new Error();
+  }
+  
+  const decoded = jwt.verify(token, JWT_SECRET);
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId),
+    Session.exists({ _id: decoded.sessionId, userId: decoded.userId, revokedAt: null })
+  ]);
+  
+  if (!user || !session || user.bannedAt) {
+    throw new Error();
+  }
+  
+  req.user = user;
+  req.userId = user._id;
+  req.sessionId = decoded.sessionId;
+  req.tokenRole = decoded.role || 'user';
+};
+
 // Auth middleware
 const authMiddleware = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) {
-      throw new Error();
-    }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId);
-    
-    if (!user) {
-      throw new Error();
-    }
-    
-    req.user = user;
-    req.userId = user._id;
+    await authenticateRequest(req);
     next();
   } catch (error) {
     res.status(401).json({ error: 'Please authenticate' });
   }
 };
 
+// Permission middleware: use after authMiddleware. Checks the role carried in
+// the access token; sensitive routes pass { recheck: true } so the role stored
+// on the user must grant it too, which makes demotions apply immediately.
+const requirePermission = (permission, { recheck = false } = {}) => (req, res, next) => {
+  const allowed = hasPermission(req.tokenRole, permission) &&
+    (!recheck || hasPermission(req.user?.role, permission));
+
+  if (!allowed) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Optional auth middleware: identifies the user when possible, never rejects
+const optionalAuthMiddleware = async (req, res, next) => {
+  try {
+    await authenticateRequest(req);
+  } catch (error) {
+    req.user = null;
+    req.userId = null;
+  }
+  next();
+};
+
+// ==================== WALLET SIGNATURES ====================
+
+// How long a login nonce stays valid after it was issued
+const LOGIN_NONCE_TTL = (process.env.LOGIN_NONCE_TTL_MINUTES || 5) * 60 * 1000;
+
+// ==================== SESSIONS ====================
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = (process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const generateRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  session.refreshTokenHash = hashToken(secret);
+  return `${session._id}.${secret}`;
+};
+
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, walletAddress: user.walletAddress, role: user.role, sessionId: session._id },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a new session for a user and return its first token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+  const refreshToken = generateRefreshToken(session);
+  await session.save();
+
+  return { token: signAccessToken(user, session), refreshToken };
+};
+
+// Look up the session a refresh token belongs to without validating its secret
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+// ==================== TWITTER OAUTH ====================
+
+// Pending links live in Mongo; consume() deletes, so each state works once
+const oauthStateStore = {
+  save: (pending) => OAuthState.create(pending),
+  consume: (state) => OAuthState.findOneAndDelete({ state, expiresAt: { $gt: new Date() } })
+};
+
+// Replaceable via app.locals so a mock provider can be plugged in
+app.locals.twitterOAuth = createTwitterOAuthProvider({
+  clientId: process.env.TWITTER_CLIENT_ID,
+  clientSecret: process.env.TWITTER_CLIENT_SECRET,
+  redirectUri: process.env.TWITTER_REDIRECT_URI,
+  authorizeUrl: process.env.TWITTER_AUTHORIZE_URL,
+  tokenUrl: process.env.TWITTER_TOKEN_URL,
+  userInfoUrl: process.env.TWITTER_USERINFO_URL
+});
+
+// Ties a started link to the browser that started it. Lax, since the
+// callback arrives as a top-level redirect from X.
+const TWITTER_LINK_COOKIE = 'jeetmash_twitter_link';
+const TWITTER_LINK_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/twitter'
+};
+
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// Compare X handles regardless of case and a leading '@'
+const normalizeHandle = (handle) => (handle || '').replace(/^@/, '').toLowerCase();
+
+// Public shape of a user returned by the auth routes
+const formatUser = (user) => ({
+  id: user._id,
+  walletAddress: user.walletAddress,
+  displayName: user.displayName,
+  avatar: user.avatar,
+  twitterHandle: user.twitterHandle,
+  role: user.role
+});
+
 // ==================== AUTH ROUTES ====================
 
-// Wallet authentication
+// Issue a single-use nonce and the message a wallet must sign with it
+app.get('/api/auth/nonce', async (req, res) => {
+  try {
+    const { wallet } = req.query;
+
+    const publicKey = decodeBase58(wallet);
+    if (!publicKey || publicKey.length !== 32) {
+      return res.status(400).json({ error: 'Valid wallet address required' });
+    }
+
+    const issuedAt = new Date();
+    const loginNonce = new LoginNonce({
+      walletAddress: wallet,
+      nonce: crypto.randomBytes(16).toString('hex'),
+      domain: process.env.AUTH_DOMAIN || req.get('host'),
+      issuedAt,
+      expiresAt: new Date(issuedAt.getTime() + LOGIN_NONCE_TTL)
+    });
+    await loginNonce.save();
+
+    res.json({
+      nonce: loginNonce.nonce,
+      message: buildLoginMessage(loginNonce),
+      issuedAt: loginNonce.issuedAt,
+      expiresAt: loginNonce.expiresAt
+    });
+  } catch (error) {
+    console.error('Nonce error:', error);
+    res.status(500).json({ error: 'Failed to issue nonce' });
+  }
+});
+
 // Wallet authentication
 app.post('/api/auth/wallet', async (req, res) => {
   try {
@@ -325,6 +741,43 @@ app.post('/api/auth/wallet', async (req, res) => {
     if (!walletAddress) {
       return res.status(400).json({ error: 'Wallet address required' });
     }
+
+    if (!signature || !message) {
+      return res.status(400).json({ error: 'Signature and message required' });
+    }
+
+    const nonce = typeof message === 'string'
+      ? message.match(/^Nonce: ([0-9a-f]+)$/m)?.[1]
+      : null;
+
+    const nonceFilter = {
+      nonce,
+      walletAddress,
+      expiresAt: { $gt: new Date() }
+    };
+
+    // Only look the nonce up here: an unsigned request must not be able to
+    // burn a wallet's pending nonce
+    const loginNonce = nonce && await LoginNonce.findOne(nonceFilter);
+
+    if (!loginNonce) {
+      return res.status(401).json({ error: 'Invalid or expired nonce' });
+    }
+
+    if (message !== buildLoginMessage(loginNonce)) {
+      return res.status(400).json({ error: 'Invalid sign-in message' });
+    }
+
+    if (!verifyWalletSignature(walletAddress, message, signature)) {
+      return res.status(401).json({ error: 'Invalid wallet signature' });
+    }
+
+    // Consume it atomically once the signature checks out, so a signed
+    // message can only be used once even if it is replayed concurrently
+    const consumed = await LoginNonce.findOneAndDelete({ _id: loginNonce._id, ...nonceFilter });
+    if (!consumed) {
+      return res.status(401).json({ error: 'Invalid or expired nonce' });
+    }
     
     let user = await User.findOne({ walletAddress });
     
@@ -339,26 +792,22 @@ app.post('/api/auth/wallet', async (req, res) => {
     } else {
       console.log('Found existing user:', user._id);
     }
+
+    if (user.bannedAt) {
+      return res.status(403).json({ error: 'This account has been banned' });
+    }
     
     user.lastActive = new Date();
     await user.save();
     
-    const token = jwt.sign(
-      { userId: user._id, walletAddress },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    const { token, refreshToken } = await createSession(user, req);
     
     console.log('Auth successful for:', walletAddress);
     
     res.json({
       token,
-      user: {
-        id: user._id,
-        walletAddress: user.walletAddress,
-        displayName: user.displayName,
-        avatar: user.avatar
-      }
+      refreshToken,
+      user: formatUser(user)
     });
   } catch (error) {
     console.error('Wallet auth error:', error);
@@ -366,308 +815,2310 @@ app.post('/api/auth/wallet', async (req, res) => {
   }
 });
 
-// ==================== PROFILE ROUTES ====================
+// Exchange a refresh token for a new access token, rotating the refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (!parsed) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
 
-// Get all profiles
-app.get('/api/profiles', async (req, res) => {
-    try {
-        const { sort = 'votes', order = 'desc', limit = 50 } = req.query;
-        
-        // If sort is 'random', return random profiles
-        if (sort === 'random') {
-            const profiles = await Profile.aggregate([
-                { $sample: { size: parseInt(limit) } }
-            ]);
-            return res.json(profiles);
-        }
-        
-        // Build sort object
-        let sortObj = {};
-        if (sort === 'votes') {
-            sortObj.votes = order === 'desc' ? -1 : 1;
-        } else if (sort === 'score') {
-            sortObj.score = order === 'desc' ? -1 : 1;
-        } else if (sort === 'followers') {
-            sortObj.followers = order === 'desc' ? -1 : 1;
-        }
-        
-        // Get profiles with sorting
-        const profiles = await Profile.find()
-            .sort(sortObj)
-            .limit(parseInt(limit));
-            
-        res.json(profiles);
-        
-    } catch (error) {
-        console.error('Error fetching profiles:', error);
-        res.status(500).json({ error: 'Failed to fetch profiles' });
+    const session = await Session.findOne({
+      _id: parsed.sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired' });
     }
-});
 
-// Get single profile
-app.get('/api/profiles/:id', async (req, res) => {
-  try {
-    const profile = await Profile.findById(req.params.id);
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+    // A stale token for a live session means it was stolen and already rotated
+    if (session.refreshTokenHash !== hashToken(parsed.secret)) {
+      session.revokedAt = new Date();
+      await session.save();
+      console.warn('Refresh token reuse detected, revoked session:', session._id);
+      return res.status(401).json({ error: 'Session revoked' });
     }
-    res.json(profile);
+
+    const user = await User.findById(session.userId);
+    if (!user || user.bannedAt) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    // Rotate only if nobody else rotated it in the meantime
+    const previousHash = session.refreshTokenHash;
+    const refreshToken = generateRefreshToken(session);
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: previousHash, revokedAt: null },
+      { refreshTokenHash: session.refreshTokenHash, lastUsedAt: new Date() }
+    );
+
+    if (!rotated) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+
+    user.lastActive = new Date();
+    await user.save();
+
+    res.json({
+      token: signAccessToken(user, session),
+      refreshToken
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch profile' });
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
   }
 });
 
-// Get profile by username
-app.get('/api/profiles/username/:username', async (req, res) => {
+// End the session a refresh token belongs to
+app.post('/api/auth/logout', async (req, res) => {
   try {
-    const profile = await Profile.findOne({ username: req.params.username });
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+    const parsed = parseRefreshToken(req.body.refreshToken);
+
+    if (parsed) {
+      await Session.updateOne(
+        { _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), revokedAt: null },
+        { revokedAt: new Date() }
+      );
     }
-    res.json(profile);
+
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch profile' });
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
   }
 });
 
-// ==================== VOTING ROUTES ====================
-
-// Submit battle vote
-app.post('/api/votes/battle', votingLimiter, authMiddleware, async (req, res) => {
+// End every session of the current user (e.g. after losing a device)
+app.post('/api/auth/logout-all', authMiddleware, async (req, res) => {
   try {
-    const { winnerId, loserId } = req.body;
-    
-    // Check if user already voted for this battle
-    const existingVote = await Vote.findOne({
-      voterId: req.userId,
-      $or: [
-        { winnerId, loserId },
-        { winnerId: loserId, loserId: winnerId }
-      ],
-      timestamp: { $gte: new Date(Date.now() - 60000) } // Within last minute
-    });
-    
-    if (existingVote) {
-      return res.status(400).json({ error: 'Already voted for this battle' });
-    }
-    
-    // Create vote record
-    const vote = new Vote({
-      voterId: req.userId,
-      winnerId,
-      loserId
-    });
-    await vote.save();
-    
-    // Update profiles
-    const winner = await Profile.findById(winnerId);
-    const loser = await Profile.findById(loserId);
-    
-    if (winner && loser) {
-      winner.votes += 1;
-      winner.score += 1;
-      winner.battleWins += 1;
-      winner.votesHistory.push({ voterId: req.userId });
-      
-      loser.battleLosses += 1;
-      
-      await winner.save();
-      await loser.save();
-    }
-    
-    res.json({
-      success: true,
-      winner: {
-        id: winner._id,
-        votes: winner.votes,
-        score: winner.score
-      },
-      loser: {
-        id: loser._id,
-        votes: loser.votes,
-        score: loser.score
-      }
-    });
+    const result = await Session.updateMany(
+      { userId: req.userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({ success: true, revoked: result.modifiedCount });
   } catch (error) {
-    console.error('Vote error:', error);
-    res.status(500).json({ error: 'Failed to submit vote' });
+    console.error('Logout-all error:', error);
+    res.status(500).json({ error: 'Failed to log out sessions' });
   }
 });
 
-// Chad/Jeet voting
-app.post('/api/votes/profile/:id', votingLimiter, async (req, res) => {
+// Get the current user
+app.get('/api/auth/me', authMiddleware, (req, res) => {
+  res.json(formatUser(req.user));
+});
+
+// Start linking an X account to the current user
+app.get('/api/auth/twitter/start', authMiddleware, async (req, res) => {
   try {
-    const { voteType } = req.body;
-    const profileId = req.params.id;
-    
-    const profile = await Profile.findById(profileId);
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-    
-    // Increment the appropriate vote count
-    if (voteType === 'chad') {
-      profile.chadVotes = (profile.chadVotes || 0) + 1;
-    } else if (voteType === 'jeet') {
-      profile.jeetVotes = (profile.jeetVotes || 0) + 1;
-    }
-    
-    await profile.save();
-    
-    // Calculate percentages
-    const total = profile.chadVotes + profile.jeetVotes;
-    let chadPercentage = 50;
-    let jeetPercentage = 50;
-    
-    if (total > 0) {
-      // Calculate raw percentages
-      const rawChadPercent = (profile.chadVotes / total) * 100;
-      const rawJeetPercent = (profile.jeetVotes / total) * 100;
-      
-      // Round them
-      chadPercentage = Math.round(rawChadPercent);
-      jeetPercentage = Math.round(rawJeetPercent);
-      
-      // Ensure they add up to 100
-      if (chadPercentage + jeetPercentage !== 100) {
-        // If they don't sum to 100, adjust based on which is larger
-        if (profile.chadVotes >= profile.jeetVotes) {
-          chadPercentage = 100 - jeetPercentage;
-        } else {
-          jeetPercentage = 100 - chadPercentage;
-        }
-      }
+    const provider = req.app.locals.twitterOAuth;
+    if (!provider.isConfigured) {
+      return res.status(503).json({ error: 'X account linking is not configured' });
     }
-    
-    console.log('Vote recorded - Chad:', profile.chadVotes, 'Jeet:', profile.jeetVotes);
-    console.log('Percentages - Chad:', chadPercentage + '%', 'Jeet:', jeetPercentage + '%');
-    
-    res.json({
-      success: true,
-      chadVotes: profile.chadVotes,
-      jeetVotes: profile.jeetVotes,
-      chadPercentage: chadPercentage,
-      jeetPercentage: jeetPercentage
-    });
-    
+
+    const { url, stateHash } = await createTwitterLinkFlow({ provider, states: oauthStateStore }).start(req.userId);
+    res.cookie(TWITTER_LINK_COOKIE, stateHash, { ...TWITTER_LINK_COOKIE_OPTIONS, maxAge: OAUTH_STATE_TTL });
+    res.json({ url });
   } catch (error) {
-    console.error('Profile vote error:', error);
-    res.status(500).json({ error: 'Failed to record vote' });
+    console.error('Twitter link start error:', error);
+    res.status(500).json({ error: 'Failed to start X account linking' });
   }
 });
 
-// ==================== COMMENT ROUTES ====================
+// X redirects back here; finish the link and send the browser back to the app
+app.get('/api/auth/twitter/callback', async (req, res) => {
+  const redirectTo = (status) => res.redirect(`${process.env.FRONTEND_URL || '/'}?twitter=${status}`);
 
-// Get comments for a profile
-app.get('/api/comments/profile/:profileId', async (req, res) => {
   try {
-    const comments = await Comment.find({ profileId: req.params.profileId })
-      .populate('authorId', 'displayName avatar walletAddress twitterHandle')
-      .sort({ createdAt: -1 })
-      .limit(50);
-    
-    res.json(comments);
-  } catch (error) {
+    const provider = req.app.locals.twitterOAuth;
+    const stateHash = readCookie(req, TWITTER_LINK_COOKIE);
+    res.clearCookie(TWITTER_LINK_COOKIE, TWITTER_LINK_COOKIE_OPTIONS);
+
+    const result = await createTwitterLinkFlow({ provider, states: oauthStateStore }).complete(req.query, stateHash);
+    if (result.status !== 'authorized') {
+      return redirectTo(result.status);
+    }
+
+    const { userId, account } = result;
+    const existing = await User.findOne({ twitterId: account.id });
+    if (existing && !existing._id.equals(userId)) {
+      return redirectTo('taken');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return redirectTo('expired');
+    }
+
+    user.twitterId = account.id;
+    user.twitterHandle = account.username;
+    await user.save();
+
+    console.log('Linked X account:', account.username, 'to user:', user._id);
+    redirectTo('linked');
+  } catch (error) {
+    console.error('Twitter link callback error:', error);
+    redirectTo('error');
+  }
+});
+
+// ==================== REALTIME ====================
+// Server-sent events on /api/stream. Events: vote, verdict, comment,
+// comment-update, leaderboard and stats; each carries a JSON payload.
+
+const STREAM_MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS) || 1000;
+const STREAM_MAX_PER_IP = parseInt(process.env.STREAM_MAX_PER_IP) || 10;
+const STREAM_HEARTBEAT = 25 * 1000;
+// Suggested reconnect delay; clients add their own backoff on top
+const STREAM_RETRY = 3000;
+
+const streamClients = new Set();
+const streamsPerIp = new Map();
+let streamEventId = 0;
+
+const publishEvent = (type, data) => {
+  if (streamClients.size === 0) return;
+  const message = `id: ${++streamEventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  streamClients.forEach(client => client.write(message));
+};
+
+app.get('/api/stream', (req, res) => {
+  if (streamClients.size >= STREAM_MAX_CLIENTS) {
+    return res.status(503).json({ error: 'Too many live connections, try again later' });
+  }
+  const ipStreams = streamsPerIp.get(req.ip) || 0;
+  if (ipStreams >= STREAM_MAX_PER_IP) {
+    return res.status(429).json({ error: 'Too many live connections from this IP' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY}\n\n`);
+
+  streamClients.add(res);
+  streamsPerIp.set(req.ip, ipStreams + 1);
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streamClients.delete(res);
+
+    const remaining = (streamsPerIp.get(req.ip) || 1) - 1;
+    if (remaining > 0) {
+      streamsPerIp.set(req.ip, remaining);
+    } else {
+      streamsPerIp.delete(req.ip);
+    }
+  });
+});
+
+// Leaderboard moves are pushed at most once per interval after votes come
+// in, as rank changes against the last push for each period
+const LEADERBOARD_PUSH_INTERVAL = 10 * 1000;
+const LEADERBOARD_PUSH_SIZE = 50;
+const pushedRanks = new Map();
+let leaderboardPushTimer = null;
+
+const pushLeaderboardChanges = async () => {
+  for (const period of Object.keys(LEADERBOARD_PERIODS)) {
+    const rows = await computeLeaderboard(period, LEADERBOARD_PUSH_SIZE);
+    const ranks = new Map(rows.map((row, index) => [row._id.toString(), index + 1]));
+    const previous = pushedRanks.get(period) || new Map();
+    pushedRanks.set(period, ranks);
+
+    const changes = [];
+    ranks.forEach((rank, profileId) => {
+      const previousRank = previous.get(profileId) || null;
+      if (previousRank !== rank) changes.push({ profileId, rank, previousRank });
+    });
+    previous.forEach((previousRank, profileId) => {
+      if (!ranks.has(profileId)) changes.push({ profileId, rank: null, previousRank });
+    });
+
+    if (changes.length > 0) {
+      publishEvent('leaderboard', { period, changes });
+    }
+  }
+};
+
+const scheduleLeaderboardPush = () => {
+  if (leaderboardPushTimer || streamClients.size === 0) return;
+
+  leaderboardPushTimer = setTimeout(async () => {
+    leaderboardPushTimer = null;
+    try {
+      await pushLeaderboardChanges();
+    } catch (error) {
+      console.error('Leaderboard push failed:', error);
+    }
+  }, LEADERBOARD_PUSH_INTERVAL);
+  leaderboardPushTimer.unref();
+};
+
+// ==================== LIVE STATS ====================
+// Global battle counters for the home page ticker. Computed from the votes
+// collection so every instance reports the same numbers.
+
+const LIVE_STATS_CACHE_TTL = 1000;
+const ACTIVE_VOTER_WINDOW = 5 * 60 * 1000;
+// Pushed shortly after votes, and on a slow interval so the per-minute and
+// active-voter windows age out even when nobody is voting
+const LIVE_STATS_PUSH_DELAY = 2000;
+const LIVE_STATS_PUSH_INTERVAL = 15 * 1000;
+
+let liveStatsCache = null;
+let liveStatsPushTimer = null;
+
+const getLiveStats = () => {
+  if (liveStatsCache && Date.now() - liveStatsCache.computedAt < LIVE_STATS_CACHE_TTL) {
+    return liveStatsCache.stats;
+  }
+
+  const now = Date.now();
+  const stats = Promise.all([
+    Vote.estimatedDocumentCount(),
+    Vote.countDocuments({ timestamp: { $gte: new Date(now - 60 * 1000) } }),
+    Vote.distinct('voterId', { timestamp: { $gte: new Date(now - ACTIVE_VOTER_WINDOW) } })
+  ]).then(([totalVotes, votesLastMinute, activeVoterIds]) => ({
+    totalVotes,
+    votesLastMinute,
+    activeVoters: activeVoterIds.length,
+    updatedAt: new Date(now)
+  }));
+
+  // Share the in-flight query between concurrent callers; drop it on failure
+  liveStatsCache = { computedAt: now, stats };
+  stats.catch(() => {
+    if (liveStatsCache?.stats === stats) liveStatsCache = null;
+  });
+  return stats;
+};
+
+const pushLiveStats = async () => {
+  if (streamClients.size === 0) return;
+  try {
+    publishEvent('stats', await getLiveStats());
+  } catch (error) {
+    console.error('Live stats push failed:', error);
+  }
+};
+
+const scheduleLiveStatsPush = () => {
+  if (liveStatsPushTimer || streamClients.size === 0) return;
+
+  liveStatsPushTimer = setTimeout(() => {
+    liveStatsPushTimer = null;
+    pushLiveStats();
+  }, LIVE_STATS_PUSH_DELAY);
+  liveStatsPushTimer.unref();
+};
+
+setInterval(pushLiveStats, LIVE_STATS_PUSH_INTERVAL).unref();
+
+app.get('/api/stats/live', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json(await getLiveStats());
+  } catch (error) {
+    console.error('Live stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch live stats' });
+  }
+});
+
+// ==================== PROFILE ROUTES ====================
+
+// Sortable profile fields and the type of their cursor values
+const PROFILE_SORT_TYPES = { votes: 'number', rating: 'number', followers: 'string' };
+
+// Get profiles a page at a time: { profiles, nextCursor }
+app.get('/api/profiles', async (req, res) => {
+    try {
+        const { sort = 'votes', order = 'desc' } = req.query;
+        const limit = parseLimit(req.query.limit);
+        
+        // If sort is 'random', return random profiles (a sample has no next page)
+        if (sort === 'random') {
+            const profiles = await Profile.aggregate([
+                { $match: ACTIVE_PROFILE },
+                { $sample: { size: limit } }
+            ]);
+            return res.json({ profiles, nextCursor: null });
+        }
+        
+        if (typeof sort !== 'string' || !Object.hasOwn(PROFILE_SORT_TYPES, sort)) {
+            return res.status(400).json({ error: 'Sort must be votes, rating, followers or random' });
+        }
+        
+        // The cursor must come from a page with the same ordering
+        const direction = order === 'desc' ? -1 : 1;
+        const position = decodeCursor(req.query.cursor);
+        if (position && (position.sort !== sort || position.direction !== direction)) {
+            return res.status(400).json({ error: 'Cursor does not match this sort order' });
+        }
+        
+        const profiles = await Profile.find({ ...ACTIVE_PROFILE, ...keysetFilter(sort, PROFILE_SORT_TYPES[sort], direction, position) })
+            .sort({ [sort]: direction, _id: direction })
+            .limit(limit + 1);
+        
+        const page = toPage(profiles, limit, profile => ({
+            sort,
+            direction,
+            value: profile[sort] ?? null,
+            id: profile._id
+        }));
+            
+        res.json({ profiles: page.items, nextCursor: page.nextCursor });
+        
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error fetching profiles:', error);
+        res.status(500).json({ error: 'Failed to fetch profiles' });
+    }
+});
+
+// Profiles ahead of `profile` on the all-time leaderboard (votes, then rating)
+const aheadOnAllTime = (profile) => ({
+  $or: [
+    { votes: { $gt: profile.votes } },
+    { votes: profile.votes, rating: { $gt: profile.rating } }
+  ]
+});
+
+// Position on the all-time leaderboard
+const getAllTimeRank = async (profile) => {
+  const ahead = await Profile.countDocuments({ ...ACTIVE_PROFILE, ...aheadOnAllTime(profile) });
+  return ahead + 1;
+};
+
+// Positions of several profiles at once, counted in a single aggregation
+const getAllTimeRanks = async (profiles) => {
+  if (profiles.length === 0) return [];
+
+  const counters = { _id: null };
+  profiles.forEach((profile, i) => {
+    const isAhead = {
+      $or: [
+        { $gt: ['$votes', profile.votes] },
+        { $and: [{ $eq: ['$votes', profile.votes] }, { $gt: ['$rating', profile.rating] }] }
+      ]
+    };
+    counters[`ahead${i}`] = { $sum: { $cond: [isAhead, 1, 0] } };
+  });
+
+  const [counts = {}] = await Profile.aggregate([
+    { $match: { ...ACTIVE_PROFILE, $or: profiles.map(aheadOnAllTime) } },
+    { $group: counters }
+  ]);
+  return profiles.map((_, i) => (counts[`ahead${i}`] || 0) + 1);
+};
+
+const SEARCH_MAX_RESULTS = 25;
+const SEARCH_CANDIDATES = 50;
+const SEARCH_MIN_SCORE = 0.25;
+const SEARCH_PROJECTION = {
+  username: 1, handle: 1, twitterHandle: 1, bio: 1, image: 1, emoji: 1,
+  followers: 1, rating: 1, votes: 1, verified: 1
+};
+
+// Search profiles by name, handle and bio. Candidates come from the text
+// index and a substring match on names, plus profiles sharing enough name
+// grams to be a typo away; all of them are then ranked by how closely they
+// match.
+app.get('/api/profiles/search', async (req, res) => {
+  try {
+    const query = normalizeQuery(req.query.q);
+    if (query.length < 1 || query.length > 50) {
+      return res.status(400).json({ error: 'Search query must be 1-50 characters' });
+    }
+    const limit = parseLimit(req.query.limit, 10, SEARCH_MAX_RESULTS);
+
+    const namePattern = new RegExp(escapeRegex(query), 'i');
+    const [textMatches, nameMatches] = await Promise.all([
+      Profile.find(
+        { ...ACTIVE_PROFILE, $text: { $search: query } },
+        { ...SEARCH_PROJECTION, textScore: { $meta: 'textScore' } }
+      ).sort({ textScore: { $meta: 'textScore' } }).limit(SEARCH_CANDIDATES).lean(),
+      Profile.find(
+        { ...ACTIVE_PROFILE, $or: [{ username: namePattern }, { handle: namePattern }, { twitterHandle: namePattern }] },
+        SEARCH_PROJECTION
+      ).sort({ votes: -1 }).limit(SEARCH_CANDIDATES).lean()
+    ]);
+
+    const candidates = new Map();
+    const addCandidate = (profile) => {
+      const id = profile._id.toString();
+      if (candidates.has(id)) return;
+      const matchScore = scoreProfile(query, profile, profile.textScore);
+      if (matchScore >= SEARCH_MIN_SCORE) {
+        candidates.set(id, { ...profile, matchScore });
+      }
+    };
+    textMatches.forEach(addCandidate);
+    nameMatches.forEach(addCandidate);
+
+    if (candidates.size < limit) {
+      const queryGrams = nameGrams(query);
+      const typoMatches = await Profile.aggregate([
+        { $match: { ...ACTIVE_PROFILE, searchGrams: { $in: queryGrams } } },
+        { $project: { ...SEARCH_PROJECTION, sharedGrams: { $size: { $setIntersection: ['$searchGrams', queryGrams] } } } },
+        { $match: { sharedGrams: { $gte: minSharedGrams(query) } } },
+        { $sort: { sharedGrams: -1, votes: -1 } },
+        { $limit: SEARCH_CANDIDATES }
+      ]);
+      typoMatches.forEach(({ sharedGrams, ...profile }) => addCandidate(profile));
+    }
+
+    const ranked = Array.from(candidates.values())
+      .sort((a, b) => b.matchScore - a.matchScore || b.votes - a.votes)
+      .slice(0, limit);
+
+    // Called on every keystroke, so all ranks come from one query
+    const ranks = await getAllTimeRanks(ranked);
+    const results = ranked.map(({ textScore, ...profile }, i) => ({
+      ...profile,
+      matchScore: Math.round(profile.matchScore * 100) / 100,
+      rank: ranks[i]
+    }));
+
+    res.json({ query: req.query.q, results });
+  } catch (error) {
+    console.error('Profile search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Attach the caller's current Chad/Jeet verdict (null if none or signed out)
+const withCallerVerdict = async (profile, userId) => {
+  const verdict = userId
+    ? await ProfileVerdict.findOne({ userId, profileId: profile._id }, 'verdict')
+    : null;
+
+  return { ...profile.toObject(), myVerdict: verdict ? verdict.verdict : null };
+};
+
+// Get single profile
+app.get('/api/profiles/:id', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const profile = await Profile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(await withCallerVerdict(profile, req.userId));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Get profile by username
+app.get('/api/profiles/username/:username', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const profile = await Profile.findOne({ username: req.params.username });
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(await withCallerVerdict(profile, req.userId));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Bucket sizes for profile history and how far back each one looks
+const HISTORY_BUCKETS = {
+  hour: { unit: 'hour', size: 60 * 60 * 1000, count: 48 },
+  day: { unit: 'day', size: 24 * 60 * 60 * 1000, count: 90 }
+};
+
+// Get a profile's battle, verdict and rating history in time buckets
+app.get('/api/profiles/:id/history', async (req, res) => {
+  try {
+    const bucket = Object.hasOwn(HISTORY_BUCKETS, req.query.bucket) ? req.query.bucket : 'day';
+    const { unit, size, count } = HISTORY_BUCKETS[bucket];
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const profile = await Profile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const profileId = profile._id;
+    const to = new Date(Math.floor(Date.now() / size) * size + size);
+    const from = new Date(to.getTime() - count * size);
+
+    const [battleBuckets, verdictBuckets, previousVote] = await Promise.all([
+      Vote.aggregate([
+        { $match: { $or: [{ winnerId: profileId }, { loserId: profileId }], timestamp: { $gte: from } } },
+        { $sort: { timestamp: 1 } },
+        { $project: {
+          bucket: { $dateTrunc: { date: '$timestamp', unit } },
+          won: { $eq: ['$winnerId', profileId] },
+          rating: { $cond: [{ $eq: ['$winnerId', profileId] }, '$winnerRating', '$loserRating'] }
+        } },
+        { $group: {
+          _id: '$bucket',
+          wins: { $sum: { $cond: ['$won', 1, 0] } },
+          losses: { $sum: { $cond: ['$won', 0, 1] } },
+          rating: { $last: '$rating' }
+        } }
+      ]),
+      VerdictEvent.aggregate([
+        { $match: { profileId, timestamp: { $gte: from } } },
+        { $group: {
+          _id: { $dateTrunc: { date: '$timestamp', unit } },
+          chad: { $sum: { $subtract: [
+            { $cond: [{ $eq: ['$to', 'chad'] }, 1, 0] },
+            { $cond: [{ $eq: ['$from', 'chad'] }, 1, 0] }
+          ] } },
+          jeet: { $sum: { $subtract: [
+            { $cond: [{ $eq: ['$to', 'jeet'] }, 1, 0] },
+            { $cond: [{ $eq: ['$from', 'jeet'] }, 1, 0] }
+          ] } }
+        } }
+      ]),
+      Vote.findOne({
+        $or: [{ winnerId: profileId }, { loserId: profileId }],
+        timestamp: { $lt: from }
+      }).sort({ timestamp: -1 })
+    ]);
+
+    const battlesByTime = new Map(battleBuckets.map(b => [b._id.getTime(), b]));
+    const verdictsByTime = new Map(verdictBuckets.map(v => [v._id.getTime(), v]));
+
+    // Running totals start from what the profile had before the window
+    let chadTotal = profile.chadVotes - verdictBuckets.reduce((sum, v) => sum + v.chad, 0);
+    let jeetTotal = profile.jeetVotes - verdictBuckets.reduce((sum, v) => sum + v.jeet, 0);
+    let rating = previousVote
+      ? (previousVote.winnerId.equals(profileId) ? previousVote.winnerRating : previousVote.loserRating)
+      : null;
+    rating = rating ?? DEFAULT_RATING;
+
+    const points = [];
+    for (let time = from.getTime(); time < to.getTime(); time += size) {
+      const battles = battlesByTime.get(time);
+      const verdicts = verdictsByTime.get(time);
+
+      chadTotal += verdicts ? verdicts.chad : 0;
+      jeetTotal += verdicts ? verdicts.jeet : 0;
+      if (battles && battles.rating != null) {
+        rating = battles.rating;
+      }
+
+      points.push({
+        time: new Date(time),
+        wins: battles ? battles.wins : 0,
+        losses: battles ? battles.losses : 0,
+        chad: verdicts ? verdicts.chad : 0,
+        jeet: verdicts ? verdicts.jeet : 0,
+        chadTotal,
+        jeetTotal,
+        rating: Math.round(rating)
+      });
+    }
+
+    res.json({ bucket, from, to, points });
+  } catch (error) {
+    console.error('Profile history error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile history' });
+  }
+});
+
+// Claim a profile whose X handle matches the current user's linked account
+app.post('/api/profiles/:id/claim', authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.twitterHandle) {
+      return res.status(403).json({ error: 'Link your X account first' });
+    }
+
+    const profile = await Profile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    if (normalizeHandle(profile.twitterHandle) !== normalizeHandle(req.user.twitterHandle)) {
+      return res.status(403).json({ error: 'This profile belongs to a different X account' });
+    }
+
+    const claimed = await Profile.findOneAndUpdate(
+      { _id: profile._id, $or: [{ claimedBy: null }, { claimedBy: req.userId }] },
+      { claimedBy: req.userId, claimedAt: new Date(), verified: true, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({ error: 'Profile already claimed' });
+    }
+
+    res.json(claimed);
+  } catch (error) {
+    console.error('Profile claim error:', error);
+    res.status(500).json({ error: 'Failed to claim profile' });
+  }
+});
+
+// Update the bio of a profile you have claimed
+app.put('/api/profiles/:id/bio', authMiddleware, [
+  body('bio').isString().isLength({ max: 280 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = await Profile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    if (!profile.claimedBy || !profile.claimedBy.equals(req.userId)) {
+      return res.status(403).json({ error: 'Only the verified owner can edit this profile' });
+    }
+
+    profile.bio = sanitizeHtml(req.body.bio);
+    profile.updatedAt = new Date();
+    await profile.save();
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Profile bio error:', error);
+    res.status(500).json({ error: 'Failed to update bio' });
+  }
+});
+
+// ==================== MATCHMAKING ====================
+
+const BATTLE_TICKET_TTL = process.env.BATTLE_TICKET_TTL || '10m';
+const MATCHMAKING_SAMPLE_SIZE = 50;
+const MATCHMAKING_MAX_ANCHORS = 5;
+
+// Opponents are searched in ever wider rating windows around the anchor
+const RATING_WINDOWS = [100, 200, 400, Infinity];
+
+// Weighted random pick that favours profiles with few battles
+const pickAnchor = (candidates) => {
+  const weights = candidates.map(profile =>
+    1 / Math.sqrt(1 + (profile.battleWins || 0) + (profile.battleLosses || 0))
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let roll = Math.random() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    roll -= weights[i];
+    if (roll <= 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+};
+
+// Profiles this voter has already judged against `profileId`
+const getJudgedOpponents = async (voterId, profileId) => {
+  if (!voterId) return [];
+
+  const votes = await Vote.find({
+    voterId,
+    $or: [{ winnerId: profileId }, { loserId: profileId }]
+  }, 'winnerId loserId').lean();
+
+  return votes.map(vote => vote.winnerId.equals(profileId) ? vote.loserId : vote.winnerId);
+};
+
+// A random opponent close in rating to `anchor`, widening the window as needed
+const findOpponent = async (anchor, excludeIds) => {
+  for (const window of RATING_WINDOWS) {
+    const match = { ...ACTIVE_PROFILE, _id: { $nin: excludeIds } };
+    if (window !== Infinity) {
+      match.rating = { $gte: anchor.rating - window, $lte: anchor.rating + window };
+    }
+
+    const [opponent] = await Profile.aggregate([
+      { $match: match },
+      { $sample: { size: 1 } }
+    ]);
+    if (opponent) return opponent;
+  }
+  return null;
+};
+
+// Choose a fair, fresh pair for this voter, never repeating the previous pair
+const findBattlePair = async (voterId, previousIds) => {
+  const candidates = await Profile.aggregate([
+    { $match: ACTIVE_PROFILE },
+    { $sample: { size: MATCHMAKING_SAMPLE_SIZE } }
+  ]);
+
+  for (let attempt = 0; attempt < MATCHMAKING_MAX_ANCHORS && candidates.length > 0; attempt++) {
+    const anchor = pickAnchor(candidates);
+    candidates.splice(candidates.indexOf(anchor), 1);
+
+    const excludeIds = [anchor._id, ...await getJudgedOpponents(voterId, anchor._id)];
+    if (previousIds.some(id => id.equals(anchor._id))) {
+      excludeIds.push(...previousIds);
+    }
+
+    const opponent = await findOpponent(anchor, excludeIds);
+    if (opponent) return [anchor, opponent];
+  }
+
+  // The voter has judged everything we tried; fall back to any new pair
+  const [anchor] = await Profile.aggregate([{ $match: ACTIVE_PROFILE }, { $sample: { size: 1 } }]);
+  if (!anchor) return null;
+
+  const opponent = await findOpponent(anchor, [anchor._id, ...previousIds]);
+  return opponent ? [anchor, opponent] : null;
+};
+
+// ==================== BATTLE ROUTES ====================
+
+// Get the next battle pair, with a signed ticket required to vote on it
+app.get('/api/battles/next', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const previousIds = String(req.query.previous || '')
+      .split(',')
+      .filter(id => mongoose.Types.ObjectId.isValid(id))
+      .map(id => new mongoose.Types.ObjectId(id));
+
+    const pair = await findBattlePair(req.userId, previousIds);
+    if (!pair) {
+      return res.status(404).json({ error: 'Not enough profiles for a battle' });
+    }
+
+    const profiles = Math.random() < 0.5 ? pair : pair.reverse();
+
+    const ticket = jwt.sign({
+      type: 'battle',
+      profileIds: profiles.map(profile => profile._id.toString()),
+      voterId: req.userId ? req.userId.toString() : undefined
+    }, JWT_SECRET, {
+      expiresIn: BATTLE_TICKET_TTL,
+      jwtid: crypto.randomBytes(12).toString('hex')
+    });
+
+    res.json({ ticket, profiles });
+  } catch (error) {
+    console.error('Matchmaking error:', error);
+    res.status(500).json({ error: 'Failed to find a battle' });
+  }
+});
+
+// ==================== VOTING ROUTES ====================
+
+// Submit battle vote
+app.post('/api/votes/battle', votingLimiter, authMiddleware, async (req, res) => {
+  try {
+    const { winnerId, loserId, ticket } = req.body;
+
+    // Votes are only accepted on pairs the server actually served
+    let battle;
+    try {
+      battle = jwt.verify(ticket, JWT_SECRET);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid or expired battle ticket' });
+    }
+
+    const servedPair = battle.type === 'battle' &&
+      Array.isArray(battle.profileIds) &&
+      String(winnerId) !== String(loserId) &&
+      battle.profileIds.includes(String(winnerId)) &&
+      battle.profileIds.includes(String(loserId));
+
+    if (!servedPair || (battle.voterId && battle.voterId !== req.userId.toString())) {
+      return res.status(400).json({ error: 'Battle ticket does not match this vote' });
+    }
+    
+    // Each ticket can be voted on once per user (also enforced by a unique index)
+    const existingVote = await Vote.exists({ voterId: req.userId, ticketId: battle.jti });
+    
+    if (existingVote) {
+      return res.status(400).json({ error: 'Already voted for this battle' });
+    }
+    
+    // Insert the vote and update both profiles in one transaction (needs a
+    // replica set, e.g. Atlas). Concurrent votes touching the same profiles
+    // conflict and are retried by withTransaction, so no increment is lost,
+    // and a missing profile aborts everything without leaving an orphan vote.
+    let winner;
+    let loser;
+    let ratings;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // One operation at a time: a session can't run operations in parallel
+        const currentWinner = await Profile.findById(winnerId).session(session);
+        const currentLoser = await Profile.findById(loserId).session(session);
+
+        if (!currentWinner || !currentLoser) {
+          const error = new Error('Profile not found');
+          error.statusCode = 404;
+          throw error;
+        }
+
+        // The pair may have been archived after the ticket was issued
+        if (currentWinner.archivedAt || currentLoser.archivedAt) {
+          const error = new Error('Profile is no longer in battles');
+          error.statusCode = 410;
+          throw error;
+        }
+
+        ratings = calculateBattleRatings(
+          { rating: currentWinner.rating, battles: currentWinner.battleWins + currentWinner.battleLosses },
+          { rating: currentLoser.rating, battles: currentLoser.battleWins + currentLoser.battleLosses }
+        );
+
+        winner = await Profile.findByIdAndUpdate(winnerId, {
+          $set: { rating: ratings.winnerRating, updatedAt: new Date() },
+          $inc: { votes: 1, battleWins: 1 }
+        }, { new: true, session });
+
+        loser = await Profile.findByIdAndUpdate(loserId, {
+          $set: { rating: ratings.loserRating, updatedAt: new Date() },
+          $inc: { battleLosses: 1 }
+        }, { new: true, session });
+
+        await Vote.create([{
+          voterId: req.userId,
+          winnerId,
+          loserId,
+          ticketId: battle.jti,
+          winnerRating: ratings.winnerRating,
+          loserRating: ratings.loserRating
+        }], { session });
+      });
+    } finally {
+      session.endSession();
+    }
+    
+    const result = {
+      winner: {
+        id: winner._id,
+        votes: winner.votes,
+        rating: Math.round(winner.rating),
+        ratingChange: Math.round(ratings.winnerDelta)
+      },
+      loser: {
+        id: loser._id,
+        votes: loser.votes,
+        rating: Math.round(loser.rating),
+        ratingChange: Math.round(ratings.loserDelta)
+      }
+    };
+
+    publishEvent('vote', result);
+    scheduleLeaderboardPush();
+    scheduleLiveStatsPush();
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 410) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    // Lost a race with a parallel request using the same ticket
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Already voted for this battle' });
+    }
+
+    console.error('Vote error:', error);
+    res.status(500).json({ error: 'Failed to submit vote' });
+  }
+});
+
+// Split chad/jeet counts into percentages that always add up to 100
+const calculateVerdictPercentages = (chadVotes, jeetVotes) => {
+  const total = chadVotes + jeetVotes;
+  let chadPercentage = 50;
+  let jeetPercentage = 50;
+  
+  if (total > 0) {
+    chadPercentage = Math.round((chadVotes / total) * 100);
+    jeetPercentage = Math.round((jeetVotes / total) * 100);
+    
+    // If they don't sum to 100, adjust based on which is larger
+    if (chadPercentage + jeetPercentage !== 100) {
+      if (chadVotes >= jeetVotes) {
+        chadPercentage = 100 - jeetPercentage;
+      } else {
+        jeetPercentage = 100 - chadPercentage;
+      }
+    }
+  }
+  
+  return { chadPercentage, jeetPercentage };
+};
+
+// Set, switch or withdraw (verdict = null) a user's verdict on a profile,
+// keeping the profile's counters in step within one transaction
+const setProfileVerdict = async (userId, profileId, verdict) => {
+  let profile;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      profile = await Profile.findById(profileId).session(session);
+      if (!profile) {
+        const error = new Error('Profile not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const previous = await ProfileVerdict.findOne({ userId, profileId }).session(session);
+      const previousVerdict = previous ? previous.verdict : null;
+      if (previousVerdict === verdict) {
+        return;
+      }
+
+      const inc = {};
+      if (previousVerdict) inc[`${previousVerdict}Votes`] = -1;
+      if (verdict) inc[`${verdict}Votes`] = 1;
+
+      if (verdict) {
+        await ProfileVerdict.updateOne(
+          { userId, profileId },
+          { $set: { verdict, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+          { upsert: true, session }
+        );
+      } else {
+        await ProfileVerdict.deleteOne({ userId, profileId }, { session });
+      }
+
+      await VerdictEvent.create([{
+        profileId,
+        userId,
+        from: previousVerdict,
+        to: verdict
+      }], { session });
+
+      profile = await Profile.findByIdAndUpdate(profileId, {
+        $inc: inc,
+        $set: { updatedAt: new Date() }
+      }, { new: true, session });
+    });
+  } finally {
+    session.endSession();
+  }
+  
+  const tally = {
+    chadVotes: profile.chadVotes,
+    jeetVotes: profile.jeetVotes,
+    ...calculateVerdictPercentages(profile.chadVotes, profile.jeetVotes)
+  };
+  publishEvent('verdict', { profileId: profile._id, ...tally });
+
+  return {
+    success: true,
+    verdict,
+    ...tally
+  };
+};
+
+// Chad/Jeet voting: one verdict per user per profile, can be switched
+app.post('/api/votes/profile/:id', votingLimiter, authMiddleware, async (req, res) => {
+  try {
+    const { voteType } = req.body;
+    
+    if (!PROFILE_VERDICTS.includes(voteType)) {
+      return res.status(400).json({ error: 'Vote type must be chad or jeet' });
+    }
+    
+    const result = await setProfileVerdict(req.userId, req.params.id, voteType);
+    res.json(result);
+    
+  } catch (error) {
+    if (error.statusCode === 404 || error.name === 'CastError') {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    console.error('Profile vote error:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+});
+
+// Withdraw the current user's Chad/Jeet verdict
+app.delete('/api/votes/profile/:id', votingLimiter, authMiddleware, async (req, res) => {
+  try {
+    const result = await setProfileVerdict(req.userId, req.params.id, null);
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode === 404 || error.name === 'CastError') {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    console.error('Profile vote withdraw error:', error);
+    res.status(500).json({ error: 'Failed to withdraw vote' });
+  }
+});
+
+// ==================== COMMENT ROUTES ====================
+
+// Deepest allowed reply level (top-level comments are depth 0)
+const MAX_COMMENT_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH) || 3;
+const COMMENT_AUTHOR_FIELDS = 'displayName avatar walletAddress twitterHandle';
+const COMMENT_EDIT_WINDOW = (parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const DELETED_COMMENT_TEXT = '[deleted]';
+const HIDDEN_COMMENT_TEXT = {
+  pending: '[hidden pending review]',
+  removed: '[removed by a moderator]'
+};
+const COMMENT_REPORT_THRESHOLD = parseInt(process.env.COMMENT_REPORT_THRESHOLD) || 3;
+
+// Public shape of a comment: revisions are summarised as a count, and deleted
+// or moderated comments are reduced to a tombstone
+const formatComment = (comment) => {
+  const { edits = [], reportCount, ...rest } = comment.toObject ? comment.toObject() : comment;
+  const formatted = {
+    ...rest,
+    // Top-level comments used to be stored unsanitized; clients render the
+    // text as HTML, so older ones are filtered on the way out too
+    text: sanitizeHtml(rest.text),
+    editCount: edits.length,
+    editableUntil: new Date(new Date(rest.createdAt).getTime() + COMMENT_EDIT_WINDOW)
+  };
+
+  if (formatted.deleted) {
+    formatted.text = DELETED_COMMENT_TEXT;
+    formatted.authorId = null;
+    formatted.likedBy = [];
+    formatted.editCount = 0;
+  } else if (HIDDEN_COMMENT_TEXT[formatted.moderationStatus]) {
+    formatted.hidden = true;
+    formatted.text = HIDDEN_COMMENT_TEXT[formatted.moderationStatus];
+    formatted.authorId = null;
+    formatted.likedBy = [];
+    formatted.editCount = 0;
+  }
+
+  return formatted;
+};
+
+// Get comment threads for a profile, newest first: top-level comments with
+// their first level of replies; deeper levels are loaded through
+// /api/comments/:id/replies. Returns { comments, nextCursor }.
+app.get('/api/comments/profile/:profileId', async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 20);
+    const position = decodeCursor(req.query.cursor);
+
+    const topLevel = await Comment.find({
+      profileId: req.params.profileId,
+      parentId: null,
+      ...keysetFilter('createdAt', 'date', -1, position)
+    })
+      .populate('authorId', COMMENT_AUTHOR_FIELDS)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const page = toPage(topLevel, limit, comment => ({ value: comment.createdAt, id: comment._id }));
+    const comments = page.items;
+
+    const replies = await Comment.find({ parentId: { $in: comments.map(comment => comment._id) } })
+      .populate('authorId', COMMENT_AUTHOR_FIELDS)
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const repliesByParent = new Map();
+    replies.forEach(reply => {
+      const key = reply.parentId.toString();
+      if (!repliesByParent.has(key)) repliesByParent.set(key, []);
+      repliesByParent.get(key).push({ ...formatComment(reply), replies: [] });
+    });
+
+    res.json({
+      comments: comments.map(comment => ({
+        ...formatComment(comment),
+        replies: repliesByParent.get(comment._id.toString()) || []
+      })),
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to fetch comments' });
   }
 });
 
-// Post a comment
-app.post('/api/comments', commentLimiter, authMiddleware, [
-  body('profileId').isMongoId(),
-  body('text').isLength({ min: 1, max: 500 }).trim()
+// Get the direct replies to a comment
+app.get('/api/comments/:commentId/replies', async (req, res) => {
+  try {
+    const replies = await Comment.find({ parentId: req.params.commentId })
+      .populate('authorId', COMMENT_AUTHOR_FIELDS)
+      .sort({ createdAt: 1 })
+      .limit(100)
+      .lean();
+
+    res.json(replies.map(reply => ({ ...formatComment(reply), replies: [] })));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch replies' });
+  }
+});
+
+// Reply to a comment
+app.post('/api/comments/:commentId/replies', commentLimiter, authMiddleware, [
+  body('text').isLength({ min: 1, max: 500 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const parent = await Comment.findById(req.params.commentId);
+    if (!parent) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (parent.deleted) {
+      return res.status(400).json({ error: 'Cannot reply to a deleted comment' });
+    }
+
+    if (parent.depth >= MAX_COMMENT_DEPTH) {
+      return res.status(400).json({ error: 'Maximum reply depth reached' });
+    }
+
+    const reply = new Comment({
+      profileId: parent.profileId,
+      authorId: req.userId,
+      text: sanitizeHtml(req.body.text),
+      parentId: parent._id,
+      depth: parent.depth + 1
+    });
+
+    await reply.save();
+    await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    await reply.populate('authorId', COMMENT_AUTHOR_FIELDS);
+
+    const formatted = { ...formatComment(reply), replies: [] };
+    publishEvent('comment', { profileId: reply.profileId, comment: formatted });
+
+    res.status(201).json(formatted);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    console.error('Reply error:', error);
+    res.status(500).json({ error: 'Failed to post reply' });
+  }
+});
+
+// Post a comment
+app.post('/api/comments', commentLimiter, authMiddleware, [
+  body('profileId').isMongoId(),
+  body('text').isLength({ min: 1, max: 500 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { profileId, text } = req.body;
+    
+    const profile = await Profile.findById(profileId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    
+    const comment = new Comment({
+      profileId,
+      authorId: req.userId,
+      text: sanitizeHtml(text)
+    });
+    
+    await comment.save();
+    await comment.populate('authorId', COMMENT_AUTHOR_FIELDS);
+    
+    const formatted = formatComment(comment);
+    publishEvent('comment', { profileId: comment.profileId, comment: formatted });
+
+    res.status(201).json(formatted);
+  } catch (error) {
+    console.error('Comment error:', error);
+    res.status(500).json({ error: 'Failed to post comment' });
+  }
+});
+
+// Like/unlike a comment
+app.post('/api/comments/:commentId/like', authMiddleware, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    
+    if (comment.deleted) {
+      return res.status(400).json({ error: 'Cannot like a deleted comment' });
+    }
+
+    const userIndex = comment.likedBy.indexOf(req.userId);
+    if (userIndex > -1) {
+      // Unlike
+      comment.likedBy.splice(userIndex, 1);
+      comment.likes -= 1;
+    } else {
+      // Like
+      comment.likedBy.push(req.userId);
+      comment.likes += 1;
+    }
+    
+    await comment.save();
+    
+    res.json({
+      likes: comment.likes,
+      liked: userIndex === -1
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update like' });
+  }
+});
+
+// Report a comment; enough reports hide it until a moderator reviews it
+app.post('/api/comments/:commentId/report', commentLimiter, authMiddleware, [
+  body('reason').isIn(REPORT_REASONS),
+  body('details').optional().isLength({ max: 300 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.authorId.toString() === req.userId.toString()) {
+      return res.status(400).json({ error: 'You cannot report your own comment' });
+    }
+
+    await Report.create({
+      commentId: comment._id,
+      reporterId: req.userId,
+      reason: req.body.reason,
+      details: req.body.details ? sanitizeHtml(req.body.details) : undefined
+    });
+
+    const updated = await Comment.findByIdAndUpdate(comment._id, {
+      $inc: { reportCount: 1 }
+    }, { new: true });
+
+    // Approved comments stay up; moderators can still see new reports in the queue
+    if (updated.reportCount >= COMMENT_REPORT_THRESHOLD && updated.moderationStatus === 'visible') {
+      await Comment.updateOne(
+        { _id: comment._id, moderationStatus: 'visible' },
+        { $set: { moderationStatus: 'pending' } }
+      );
+    }
+
+    res.status(201).json({ success: true });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'You already reported this comment' });
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    console.error('Report comment error:', error);
+    res.status(500).json({ error: 'Failed to report comment' });
+  }
+});
+
+// Load a comment for an author-only change, responding with the error if the
+// caller may not touch it
+const findOwnComment = async (req, res) => {
+  let comment;
+  try {
+    comment = await Comment.findById(req.params.commentId);
+  } catch (error) {
+    if (error.name !== 'CastError') throw error;
+  }
+
+  if (!comment || comment.deleted) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+
+  if (comment.authorId.toString() !== req.userId.toString()) {
+    res.status(403).json({ error: 'You can only change your own comments' });
+    return null;
+  }
+
+  return comment;
+};
+
+// Edit a comment within the edit window, keeping the previous revision
+app.patch('/api/comments/:commentId', commentLimiter, authMiddleware, [
+  body('text').isLength({ min: 1, max: 500 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const comment = await findOwnComment(req, res);
+    if (!comment) return;
+
+    if (Date.now() - comment.createdAt.getTime() > COMMENT_EDIT_WINDOW) {
+      return res.status(403).json({ error: 'Edit window has closed' });
+    }
+
+    const text = sanitizeHtml(req.body.text);
+    if (text === comment.text) {
+      await comment.populate('authorId', COMMENT_AUTHOR_FIELDS);
+      return res.json(formatComment(comment));
+    }
+
+    const now = new Date();
+    comment.edits.push({ text: comment.text, editedAt: comment.editedAt || comment.createdAt });
+    comment.text = text;
+    comment.editedAt = now;
+    comment.updatedAt = now;
+
+    await comment.save();
+    await comment.populate('authorId', COMMENT_AUTHOR_FIELDS);
+
+    const formatted = formatComment(comment);
+    publishEvent('comment-update', { profileId: comment.profileId, comment: formatted });
+
+    res.json(formatted);
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ error: 'Failed to edit comment' });
+  }
+});
+
+// Soft-delete a comment, leaving a tombstone in its thread
+app.delete('/api/comments/:commentId', authMiddleware, async (req, res) => {
+  try {
+    const comment = await findOwnComment(req, res);
+    if (!comment) return;
+
+    const now = new Date();
+    comment.deleted = true;
+    comment.deletedAt = now;
+    comment.updatedAt = now;
+
+    await comment.save();
+
+    const formatted = formatComment(comment);
+    publishEvent('comment-update', { profileId: comment.profileId, comment: formatted });
+
+    res.json(formatted);
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+// ==================== MODERATION ROUTES ====================
+
+// Run a moderator action and its audit entry in one transaction. The action
+// receives the session and returns metadata to record alongside the entry.
+const withAuditLog = async ({ actorId, action, targetType, targetId, reason }, run) => {
+  let result;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      result = await run(session);
+      await AuditLog.create([{
+        actorId,
+        action,
+        targetType,
+        targetId,
+        reason,
+        metadata: result?.metadata
+      }], { session });
+    });
+  } finally {
+    session.endSession();
+  }
+  return result;
+};
+
+// Close a comment's open reports with the moderator's decision
+const resolveReportedComment = (req, resolution) => withAuditLog({
+  actorId: req.userId,
+  action: `comment.${resolution === 'approved' ? 'approve' : 'remove'}`,
+  targetType: 'comment',
+  targetId: req.params.commentId,
+  reason: req.body.reason
+}, async (session) => {
+  const comment = await Comment.findByIdAndUpdate(req.params.commentId, {
+    $set: { moderationStatus: resolution, updatedAt: new Date() }
+  }, { new: true, session });
+  if (!comment) {
+    const error = new Error('Comment not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const reports = await Report.updateMany(
+    { commentId: comment._id, status: 'open' },
+    { $set: { status: 'resolved', resolution, resolvedBy: req.userId, resolvedAt: new Date() } },
+    { session }
+  );
+
+  return { comment, metadata: { reportsResolved: reports.modifiedCount } };
+});
+
+const moderationReasonValidator = body('reason').optional().isLength({ max: 300 }).trim();
+
+// Comments with open reports, most reported first
+app.get('/api/admin/moderation/queue', authMiddleware, requirePermission('comments:moderate'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+
+    const queue = await Report.aggregate([
+      { $match: { status: 'open' } },
+      { $group: {
+        _id: '$commentId',
+        openReports: { $sum: 1 },
+        firstReportedAt: { $min: '$createdAt' },
+        reports: { $push: { reason: '$reason', details: '$details', reporterId: '$reporterId', createdAt: '$createdAt' } }
+      } },
+      { $sort: { openReports: -1, firstReportedAt: 1 } },
+      { $limit: limit }
+    ]);
+
+    const comments = await Comment.find({ _id: { $in: queue.map(item => item._id) } })
+      .populate('authorId', `${COMMENT_AUTHOR_FIELDS} bannedAt`)
+      .populate('profileId', 'username displayName')
+      .lean();
+    const commentsById = new Map(comments.map(comment => [comment._id.toString(), comment]));
+
+    res.json(queue
+      .filter(item => commentsById.has(item._id.toString()))
+      .map(item => ({
+        comment: commentsById.get(item._id.toString()),
+        openReports: item.openReports,
+        firstReportedAt: item.firstReportedAt,
+        reports: item.reports
+      })));
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation queue' });
+  }
+});
+
+// Keep a reported comment up and clear its reports
+app.post('/api/admin/moderation/comments/:commentId/approve', authMiddleware, requirePermission('comments:moderate', { recheck: true }), [
+  moderationReasonValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { comment } = await resolveReportedComment(req, 'approved');
+    await comment.populate('authorId', COMMENT_AUTHOR_FIELDS);
+    const formatted = formatComment(comment);
+    publishEvent('comment-update', { profileId: comment.profileId, comment: formatted });
+
+    res.json({ success: true, comment: formatted });
+  } catch (error) {
+    if (error.statusCode === 404 || error.name === 'CastError') {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    console.error('Approve comment error:', error);
+    res.status(500).json({ error: 'Failed to approve comment' });
+  }
+});
+
+// Take a comment down; it stays in its thread as a tombstone
+app.post('/api/admin/moderation/comments/:commentId/remove', authMiddleware, requirePermission('comments:moderate', { recheck: true }), [
+  moderationReasonValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { comment } = await resolveReportedComment(req, 'removed');
+    await comment.populate('authorId', COMMENT_AUTHOR_FIELDS);
+    const formatted = formatComment(comment);
+    publishEvent('comment-update', { profileId: comment.profileId, comment: formatted });
+
+    res.json({ success: true, comment: formatted });
+  } catch (error) {
+    if (error.statusCode === 404 || error.name === 'CastError') {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    console.error('Remove comment error:', error);
+    res.status(500).json({ error: 'Failed to remove comment' });
+  }
+});
+
+// Ban or unban a user. Banning revokes every session so it takes effect
+// immediately; staff accounts can't be banned from here.
+const setUserBan = (req, banned) => withAuditLog({
+  actorId: req.userId,
+  action: banned ? 'user.ban' : 'user.unban',
+  targetType: 'user',
+  targetId: req.params.userId,
+  reason: req.body.reason
+}, async (session) => {
+  const user = await User.findById(req.params.userId).session(session);
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  if (user.role !== 'user') {
+    const error = new Error('Only regular users can be banned');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  user.bannedAt = banned ? new Date() : null;
+  user.banReason = banned ? req.body.reason : undefined;
+  await user.save({ session });
+
+  let sessionsRevoked = 0;
+  if (banned) {
+    const revoked = await Session.updateMany(
+      { userId: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { session }
+    );
+    sessionsRevoked = revoked.modifiedCount;
+  }
+
+  return { user, metadata: { sessionsRevoked } };
+});
+
+const handleBanRequest = (banned) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { user } = await setUserBan(req, banned);
+    res.json({ success: true, user: { ...formatUser(user), bannedAt: user.bannedAt } });
+  } catch (error) {
+    if (error.statusCode === 404 || error.name === 'CastError') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (error.statusCode === 403) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Ban user error:', error);
+    res.status(500).json({ error: 'Failed to update user ban' });
+  }
+};
+
+app.post('/api/admin/moderation/users/:userId/ban', authMiddleware, requirePermission('users:ban', { recheck: true }), [
+  moderationReasonValidator
+], handleBanRequest(true));
+
+app.post('/api/admin/moderation/users/:userId/unban', authMiddleware, requirePermission('users:ban', { recheck: true }), [
+  moderationReasonValidator
+], handleBanRequest(false));
+
+// Most recent moderator actions; page with ?before=<ISO date>
+app.get('/api/admin/moderation/audit-log', authMiddleware, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const filter = {};
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (isNaN(before.getTime())) {
+        return res.status(400).json({ error: 'Invalid before date' });
+      }
+      filter.createdAt = { $lt: before };
+    }
+
+    const entries = await AuditLog.find(filter)
+      .populate('actorId', 'displayName walletAddress role')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// ==================== ADMIN USER ROUTES ====================
+
+// Change a user's role. Their current access token keeps the old role until
+// it is refreshed, but routes that recheck against the DB see it immediately.
+app.patch('/api/admin/users/:userId/role', authMiddleware, requirePermission('roles:manage', { recheck: true }), [
+  body('role').isIn(ROLES),
+  body('reason').optional().isLength({ max: 300 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.userId === req.userId.toString()) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const { user } = await withAuditLog({
+      actorId: req.userId,
+      action: 'user.role',
+      targetType: 'user',
+      targetId: req.params.userId,
+      reason: req.body.reason
+    }, async (session) => {
+      const user = await User.findById(req.params.userId).session(session);
+      if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const from = user.role;
+      user.role = req.body.role;
+      await user.save({ session });
+
+      return { user, metadata: { from, to: user.role } };
+    });
+
+    res.json({ success: true, user: formatUser(user) });
+  } catch (error) {
+    if (error.statusCode === 404 || error.name === 'CastError') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.error('Change role error:', error);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// ==================== ADMIN PROFILE ROUTES ====================
+
+// Editable profile fields; stats, claims and ratings are managed elsewhere
+const PROFILE_FIELDS = ['username', 'handle', 'twitterHandle', 'bio', 'followers', 'following', 'posts', 'image', 'emoji', 'change'];
+
+const profileValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('username').trim().matches(/^[A-Za-z0-9_]{1,30}$/).withMessage('Username must be 1-30 letters, numbers or underscores'),
+    body('handle').optional().trim().matches(/^@?[A-Za-z0-9_]{1,30}$/),
+    body('twitterHandle').optional().trim().matches(/^@?[A-Za-z0-9_]{1,15}$/),
+    body('bio').optional().isLength({ max: 280 }).trim(),
+    body(['followers', 'following', 'posts']).optional().trim().matches(/^\d+(\.\d+)?[KMB]?$/i),
+    body('image').optional().trim().isURL({ protocols: ['https'], require_protocol: true }),
+    body('emoji').optional().trim().isLength({ min: 1, max: 8 }),
+    body('change').optional().trim().matches(/^[+-]?\d+(\.\d+)?%$/)
+  ];
+};
+
+// Copy the validated fields present in the request body
+const pickProfileFields = (body) => {
+  const fields = {};
+  PROFILE_FIELDS.forEach(name => {
+    if (body[name] !== undefined) {
+      fields[name] = name === 'bio' ? sanitizeHtml(body[name]) : body[name];
+    }
+  });
+  if (fields.twitterHandle !== undefined) {
+    fields.twitterHandle = normalizeHandle(fields.twitterHandle);
+  }
+  return fields;
+};
+
+const profileAdminError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'A profile with that username already exists' });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+const profileNotFound = () => {
+  const error = new Error('Profile not found');
+  error.statusCode = 404;
+  return error;
+};
+
+// Create a profile
+app.post('/api/profiles', authMiddleware, requirePermission('profiles:manage', { recheck: true }),
+  profileValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fields = pickProfileFields(req.body);
+    fields._id = new mongoose.Types.ObjectId();
+    fields.handle = fields.handle || `@${fields.username.toLowerCase()}`;
+
+    const { profile } = await withAuditLog({
+      actorId: req.userId,
+      action: 'profile.create',
+      targetType: 'profile',
+      targetId: fields._id
+    }, async (session) => {
+      const [profile] = await Profile.create([fields], { session });
+      return { profile, metadata: { username: profile.username } };
+    });
+
+    res.status(201).json(profile);
+  } catch (error) {
+    profileAdminError(res, error, 'Failed to create profile');
+  }
+});
+
+// Edit a profile's details
+app.patch('/api/profiles/:id', authMiddleware, requirePermission('profiles:manage', { recheck: true }),
+  profileValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fields = pickProfileFields(req.body);
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No profile fields to update' });
+    }
+
+    const { profile } = await withAuditLog({
+      actorId: req.userId,
+      action: 'profile.update',
+      targetType: 'profile',
+      targetId: req.params.id
+    }, async (session) => {
+      const update = { ...fields, updatedAt: new Date() };
+      if (SEARCH_NAME_FIELDS.some(name => fields[name] !== undefined)) {
+        const current = await Profile.findById(req.params.id, SEARCH_NAME_FIELDS.join(' ')).session(session).lean();
+        if (!current) throw profileNotFound();
+        update.searchGrams = searchGrams({ ...current, ...fields });
+      }
+
+      const profile = await Profile.findByIdAndUpdate(req.params.id, {
+        $set: update
+      }, { new: true, session });
+      if (!profile) throw profileNotFound();
+      return { profile, metadata: { fields: Object.keys(fields) } };
+    });
+
+    res.json(profile);
+  } catch (error) {
+    profileAdminError(res, error, 'Failed to update profile');
+  }
+});
+
+// Archive a profile: it leaves battles but its votes and history are kept
+app.delete('/api/profiles/:id', authMiddleware, requirePermission('profiles:manage', { recheck: true }), [
+  body('reason').optional().isLength({ max: 300 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { profile } = await withAuditLog({
+      actorId: req.userId,
+      action: 'profile.archive',
+      targetType: 'profile',
+      targetId: req.params.id,
+      reason: req.body.reason
+    }, async (session) => {
+      const profile = await Profile.findOneAndUpdate(
+        { _id: req.params.id, ...ACTIVE_PROFILE },
+        { $set: { archivedAt: new Date(), archivedBy: req.userId, updatedAt: new Date() } },
+        { new: true, session }
+      );
+      if (!profile) throw profileNotFound();
+      return { profile };
+    });
+
+    res.json({ success: true, profile });
+  } catch (error) {
+    profileAdminError(res, error, 'Failed to archive profile');
+  }
+});
+
+// Put an archived profile back into play
+app.post('/api/profiles/:id/restore', authMiddleware, requirePermission('profiles:manage', { recheck: true }), async (req, res) => {
+  try {
+    const { profile } = await withAuditLog({
+      actorId: req.userId,
+      action: 'profile.restore',
+      targetType: 'profile',
+      targetId: req.params.id
+    }, async (session) => {
+      const profile = await Profile.findOneAndUpdate(
+        { _id: req.params.id, archivedAt: { $ne: null } },
+        { $set: { archivedAt: null, updatedAt: new Date() }, $unset: { archivedBy: 1 } },
+        { new: true, session }
+      );
+      if (!profile) throw profileNotFound();
+      return { profile };
+    });
+
+    res.json({ success: true, profile });
+  } catch (error) {
+    profileAdminError(res, error, 'Failed to restore profile');
+  }
+});
+
+// ==================== PROFILE SUBMISSIONS ====================
+
+const MAX_PENDING_SUBMISSIONS = 5;
+const MAX_EVIDENCE_LINKS = 5;
+
+// Case-insensitive match on both the username and the X handle
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Name the reason a handle can't be submitted, or null if it's new
+const findDuplicateProfile = async (username, twitterHandle, session = null) => {
+  const existing = await Profile.findOne({ $or: [{ username }, { twitterHandle }] }, 'username')
+    .collation(CASE_INSENSITIVE)
+    .session(session);
+  if (existing) {
+    return `@${existing.username} is already on JEETMASH`;
+  }
+
+  const pending = await ProfileSubmission.exists({ twitterHandle, status: 'pending' }).session(session);
+  if (pending) {
+    return `@${username} has already been submitted and is awaiting review`;
+  }
+
+  return null;
+};
+
+const formatSubmission = (submission) => ({
+  id: submission._id,
+  username: submission.username,
+  twitterHandle: submission.twitterHandle,
+  bio: submission.bio,
+  evidenceLinks: submission.evidenceLinks,
+  status: submission.status,
+  reviewNote: submission.reviewNote,
+  profileId: submission.profileId,
+  createdAt: submission.createdAt,
+  reviewedAt: submission.reviewedAt
+});
+
+// Nominate a new profile
+app.post('/api/submissions', commentLimiter, authMiddleware, [
+  body('handle').trim().matches(/^@?[A-Za-z0-9_]{1,15}$/).withMessage('Enter a valid X handle'),
+  body('bio').optional().isLength({ max: 280 }).trim(),
+  body('evidenceLinks').isArray({ min: 1, max: MAX_EVIDENCE_LINKS }).withMessage(`Add 1-${MAX_EVIDENCE_LINKS} evidence links`),
+  body('evidenceLinks.*').trim().isURL({ protocols: ['https'], require_protocol: true }).withMessage('Evidence links must be https URLs')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    
-    const { profileId, text } = req.body;
-    
-    const profile = await Profile.findById(profileId);
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+
+    const username = req.body.handle.replace(/^@/, '');
+    const twitterHandle = normalizeHandle(username);
+
+    const pendingCount = await ProfileSubmission.countDocuments({ submittedBy: req.userId, status: 'pending' });
+    if (pendingCount >= MAX_PENDING_SUBMISSIONS) {
+      return res.status(429).json({ error: `You can have at most ${MAX_PENDING_SUBMISSIONS} submissions awaiting review` });
     }
-    
-    const comment = new Comment({
-      profileId,
-      authorId: req.userId,
-      text
+
+    const duplicate = await findDuplicateProfile(username, twitterHandle);
+    if (duplicate) {
+      return res.status(409).json({ error: duplicate });
+    }
+
+    const submission = await ProfileSubmission.create({
+      submittedBy: req.userId,
+      username,
+      twitterHandle,
+      bio: req.body.bio ? sanitizeHtml(req.body.bio) : undefined,
+      evidenceLinks: [...new Set(req.body.evidenceLinks)]
     });
-    
-    await comment.save();
-    await comment.populate('authorId', 'displayName avatar walletAddress twitterHandle');
-    
-    res.status(201).json(comment);
+
+    res.status(201).json(formatSubmission(submission));
   } catch (error) {
-    console.error('Comment error:', error);
-    res.status(500).json({ error: 'Failed to post comment' });
+    console.error('Profile submission error:', error);
+    res.status(500).json({ error: 'Failed to submit profile' });
   }
 });
 
-// Like/unlike a comment
-app.post('/api/comments/:commentId/like', authMiddleware, async (req, res) => {
+// The caller's own submissions, newest first
+app.get('/api/submissions/mine', authMiddleware, async (req, res) => {
   try {
-    const comment = await Comment.findById(req.params.commentId);
-    if (!comment) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-    
-    const userIndex = comment.likedBy.indexOf(req.userId);
-    if (userIndex > -1) {
-      // Unlike
-      comment.likedBy.splice(userIndex, 1);
-      comment.likes -= 1;
-    } else {
-      // Like
-      comment.likedBy.push(req.userId);
-      comment.likes += 1;
+    const submissions = await ProfileSubmission.find({ submittedBy: req.userId })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json(submissions.map(formatSubmission));
+  } catch (error) {
+    console.error('Fetch submissions error:', error);
+    res.status(500).json({ error: 'Failed to fetch submissions' });
+  }
+});
+
+// Review queue, oldest first
+app.get('/api/admin/submissions', authMiddleware, requirePermission('submissions:review'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
     }
-    
-    await comment.save();
-    
-    res.json({
-      likes: comment.likes,
-      liked: userIndex === -1
-    });
+    const limit = parseLimit(req.query.limit);
+
+    const submissions = await ProfileSubmission.find({ status })
+      .populate('submittedBy', 'displayName walletAddress twitterHandle')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(submissions);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update like' });
+    console.error('Submission queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch submissions' });
   }
 });
 
+// Approve or reject a pending submission. Approval creates the profile in the
+// same transaction, re-checking for duplicates added since it was submitted.
+const reviewSubmission = (req, approved) => withAuditLog({
+  actorId: req.userId,
+  action: approved ? 'submission.approve' : 'submission.reject',
+  targetType: 'submission',
+  targetId: req.params.submissionId,
+  reason: req.body.note
+}, async (session) => {
+  const submission = await ProfileSubmission.findOne({
+    _id: req.params.submissionId,
+    status: 'pending'
+  }).session(session);
+  if (!submission) {
+    const error = new Error('Submission not found or already reviewed');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  let profile = null;
+  if (approved) {
+    const existing = await Profile.exists({
+      $or: [{ username: submission.username }, { twitterHandle: submission.twitterHandle }]
+    }).collation(CASE_INSENSITIVE).session(session);
+    if (existing) {
+      const error = new Error(`@${submission.username} is already on JEETMASH`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    [profile] = await Profile.create([{
+      username: submission.username,
+      handle: `@${submission.twitterHandle}`,
+      twitterHandle: submission.twitterHandle,
+      bio: submission.bio
+    }], { session });
+    submission.profileId = profile._id;
+  }
+
+  submission.status = approved ? 'approved' : 'rejected';
+  submission.reviewedBy = req.userId;
+  submission.reviewedAt = new Date();
+  submission.reviewNote = req.body.note;
+  submission.updatedAt = new Date();
+  await submission.save({ session });
+
+  return { submission, profile, metadata: profile ? { profileId: profile._id } : undefined };
+});
+
+const handleReviewRequest = (approved) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { submission, profile } = await reviewSubmission(req, approved);
+    res.json({ success: true, submission: formatSubmission(submission), profile });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Submission not found or already reviewed' });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A profile with that username already exists' });
+    }
+    console.error('Review submission error:', error);
+    res.status(500).json({ error: 'Failed to review submission' });
+  }
+};
+
+const reviewNoteValidator = body('note').optional().isLength({ max: 300 }).trim();
+
+app.post('/api/admin/submissions/:submissionId/approve', authMiddleware,
+  requirePermission('submissions:review', { recheck: true }), [reviewNoteValidator], handleReviewRequest(true));
+
+app.post('/api/admin/submissions/:submissionId/reject', authMiddleware,
+  requirePermission('submissions:review', { recheck: true }), [reviewNoteValidator], handleReviewRequest(false));
+
 // ==================== LEADERBOARD ROUTES ====================
 
-// Get leaderboard
+const LEADERBOARD_PERIODS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+// Rank profiles by battle wins (then net score) within a period. Period
+// rankings are aggregated from the Vote and VerdictEvent logs; all-time
+// rankings use the lifetime counters on Profile.
+const computeLeaderboard = async (period, limit, offset = 0) => {
+  const windowSize = LEADERBOARD_PERIODS[period];
+
+  if (!windowSize) {
+    const profiles = await Profile.find(ACTIVE_PROFILE)
+      .sort({ votes: -1, rating: -1, _id: 1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+
+    return profiles.map(profile => ({
+      ...profile,
+      stats: {
+        wins: profile.votes,
+        losses: profile.battleLosses,
+        net: profile.votes - profile.battleLosses,
+        chad: profile.chadVotes,
+        jeet: profile.jeetVotes
+      }
+    }));
+  }
+
+  const since = new Date(Date.now() - windowSize);
+
+  // Covered by the { timestamp, winnerId, loserId } index on votes
+  const rows = await Vote.aggregate([
+    { $match: { timestamp: { $gte: since } } },
+    { $project: {
+      _id: 0,
+      results: [
+        { profileId: '$winnerId', win: 1, loss: 0 },
+        { profileId: '$loserId', win: 0, loss: 1 }
+      ]
+    } },
+    { $unwind: '$results' },
+    { $group: {
+      _id: '$results.profileId',
+      wins: { $sum: '$results.win' },
+      losses: { $sum: '$results.loss' }
+    } },
+    { $addFields: { net: { $subtract: ['$wins', '$losses'] } } },
+    { $sort: { wins: -1, net: -1, _id: 1 } },
+    { $lookup: { from: Profile.collection.name, localField: '_id', foreignField: '_id', as: 'profile' } },
+    { $unwind: '$profile' },
+    { $match: { 'profile.archivedAt': null } },
+    { $skip: offset },
+    { $limit: limit }
+  ]);
+
+  // Net Chad/Jeet verdicts cast on these profiles within the period
+  const verdicts = await VerdictEvent.aggregate([
+    { $match: { profileId: { $in: rows.map(row => row._id) }, timestamp: { $gte: since } } },
+    { $group: {
+      _id: '$profileId',
+      chad: { $sum: { $subtract: [
+        { $cond: [{ $eq: ['$to', 'chad'] }, 1, 0] },
+        { $cond: [{ $eq: ['$from', 'chad'] }, 1, 0] }
+      ] } },
+      jeet: { $sum: { $subtract: [
+        { $cond: [{ $eq: ['$to', 'jeet'] }, 1, 0] },
+        { $cond: [{ $eq: ['$from', 'jeet'] }, 1, 0] }
+      ] } }
+    } }
+  ]);
+  const verdictsById = new Map(verdicts.map(v => [v._id.toString(), v]));
+
+  return rows.map(row => {
+    const verdict = verdictsById.get(row._id.toString());
+    return {
+      ...row.profile,
+      stats: {
+        wins: row.wins,
+        losses: row.losses,
+        net: row.net,
+        chad: verdict ? verdict.chad : 0,
+        jeet: verdict ? verdict.jeet : 0
+      }
+    };
+  });
+};
+
+// ==================== LEADERBOARD SNAPSHOTS ====================
+
+const SNAPSHOT_SIZE = 100;
+const SNAPSHOT_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+// Store today's rankings for every period, unless already stored
+const takeLeaderboardSnapshots = async () => {
+  const date = toDateKey(new Date());
+
+  for (const period of Object.keys(LEADERBOARD_PERIODS)) {
+    if (await LeaderboardSnapshot.exists({ period, date })) {
+      continue;
+    }
+
+    const rows = await computeLeaderboard(period, SNAPSHOT_SIZE);
+    try {
+      await LeaderboardSnapshot.create({
+        period,
+        date,
+        rankings: rows.map((row, index) => ({
+          profileId: row._id,
+          rank: index + 1,
+          wins: row.stats.wins,
+          losses: row.stats.losses,
+          net: row.stats.net
+        }))
+      });
+      console.log(`📸 Saved ${period} leaderboard snapshot for ${date}`);
+    } catch (error) {
+      // Another server instance got there first
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+// Check hourly, so each UTC day gets its snapshot soon after midnight
+const scheduleLeaderboardSnapshots = () => {
+  const run = () => takeLeaderboardSnapshots()
+    .catch(error => console.error('Leaderboard snapshot failed:', error));
+
+  run();
+  setInterval(run, SNAPSHOT_CHECK_INTERVAL).unref();
+};
+
+mongoose.connection.once('open', () => {
+  if (process.env.NODE_ENV !== 'test') {
+    scheduleLeaderboardSnapshots();
+  }
+});
+
+// Add each row's rank and its movement since the latest snapshot:
+// positive = moved up, 'new' = not in the snapshot. Snapshots only hold the
+// top SNAPSHOT_SIZE, so a row ranked below that which isn't in the snapshot
+// has an unknown movement (null) rather than being new.
+const withRankChanges = async (period, rows, offset = 0) => {
+  const snapshot = await LeaderboardSnapshot.findOne({ period }).sort({ takenAt: -1 }).lean();
+  const previousRanks = new Map(
+    (snapshot ? snapshot.rankings : []).map(entry => [entry.profileId.toString(), entry.rank])
+  );
+
+  return rows.map((row, index) => {
+    const rank = offset + index + 1;
+    const previousRank = previousRanks.get(row._id.toString());
+    let rankChange = null;
+    if (previousRank) {
+      rankChange = previousRank - rank;
+    } else if (snapshot && rank <= SNAPSHOT_SIZE) {
+      rankChange = 'new';
+    }
+    return { ...row, rank, rankChange };
+  });
+};
+
+// Get leaderboard a page at a time: { profiles, nextCursor }. Leaderboards
+// are rankings, so the cursor carries the rank offset the next page starts at.
+// Paging is approximate: votes cast mid-scroll reorder the ranking, so a
+// profile can repeat or be skipped at a page boundary. Ranks stay correct
+// for the moment each page was fetched.
 app.get('/api/leaderboard', async (req, res) => {
   try {
-    const { period = 'all', limit = 50 } = req.query;
-    
-    let dateFilter = {};
-    const now = new Date();
-    
-    switch (period) {
-      case 'day':
-        dateFilter = { 'votesHistory.timestamp': { $gte: new Date(now - 24 * 60 * 60 * 1000) } };
-        break;
-      case 'week':
-        dateFilter = { 'votesHistory.timestamp': { $gte: new Date(now - 7 * 24 * 60 * 60 * 1000) } };
-        break;
-      case 'month':
-        dateFilter = { 'votesHistory.timestamp': { $gte: new Date(now - 30 * 24 * 60 * 60 * 1000) } };
-        break;
+    const { period = 'all' } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (!Object.hasOwn(LEADERBOARD_PERIODS, period)) {
+      return res.status(400).json({ error: 'Period must be day, week, month or all' });
+    }
+
+    const position = decodeCursor(req.query.cursor);
+    const offset = position ? position.offset : 0;
+    if (position && (position.period !== period || !Number.isSafeInteger(offset) || offset < 0)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
     
-    const profiles = await Profile.find(dateFilter)
-      .sort({ votes: -1, score: -1 })
-      .limit(parseInt(limit));
+    const rows = await computeLeaderboard(period, limit + 1, offset);
+    const hasMore = rows.length > limit;
+    const profiles = await withRankChanges(period, rows.slice(0, limit), offset);
     
-    res.json(profiles);
+    res.json({
+      profiles,
+      nextCursor: hasMore ? encodeCursor({ period, offset: offset + limit }) : null
+    });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Leaderboard error:', error);
     res.status(500).json({ error: 'Failed to fetch leaderboard' });
   }
 });
 
+// Get the stored rankings for a past UTC day (defaults to today)
+app.get('/api/leaderboard/history', async (req, res) => {
+  try {
+    const date = req.query.date || toDateKey(new Date());
+    const { period } = req.query;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+
+    if (period && !Object.hasOwn(LEADERBOARD_PERIODS, period)) {
+      return res.status(400).json({ error: 'Period must be day, week, month or all' });
+    }
+
+    const snapshots = await LeaderboardSnapshot.find({ date, ...(period && { period }) })
+      .populate('rankings.profileId', 'username handle image emoji')
+      .lean();
+
+    if (snapshots.length === 0) {
+      return res.status(404).json({ error: 'No leaderboard snapshot for that date' });
+    }
+
+    res.json({
+      date,
+      snapshots: snapshots.map(snapshot => ({
+        period: snapshot.period,
+        takenAt: snapshot.takenAt,
+        rankings: snapshot.rankings
+          .filter(entry => entry.profileId)
+          .map(({ profileId, ...entry }) => ({ ...entry, profile: profileId }))
+      }))
+    });
+  } catch (error) {
+    console.error('Leaderboard history error:', error);
+    res.status(500).json({ error: 'Failed to fetch leaderboard history' });
+  }
+});
+
 // ==================== HEALTH CHECK ==================== 
 app.get('/health', (req, res) => {
     const healthCheck = {
@@ -682,31 +3133,230 @@ app.get('/health', (req, res) => {
     res.status(200).json(healthCheck);
 });
 
+// ==================== SHARE CARDS ====================
+// Link previews for X, Telegram and friends. Crawlers don't run the app, so
+// profile pages get their og:/twitter: tags on the server and point at a card
+// image drawn here.
+
+const INDEX_HTML_PATH = path.join(__dirname, '../frontend/index.html');
+const SHARE_CARD_MAX_AGE = 300;
+const AVATAR_FETCH_TIMEOUT = 3000;
+const AVATAR_MAX_BYTES = 1024 * 1024;
+const AVATAR_CACHE_SIZE = 500;
+const AVATAR_CACHE_TTL = 60 * 60 * 1000;
+// Formats the card rasterizer can decode
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif'];
+// Avatars are only fetched from these hosts (X's image CDN by default)
+const AVATAR_HOSTS = process.env.AVATAR_HOSTS
+  ? process.env.AVATAR_HOSTS.split(',')
+  : ['pbs.twimg.com'];
+// Absolute links in the preview tags. Profile pages are publicly cached, so
+// this can't come from the request's Host header.
+const PUBLIC_URL = (process.env.PUBLIC_URL || 'http://localhost:3001').replace(/\/+$/, '');
+
+let indexHtml = null;
+const avatarCache = new Map();
+
+const getIndexHtml = () => {
+  if (!indexHtml) {
+    indexHtml = fs.promises.readFile(INDEX_HTML_PATH, 'utf8');
+    indexHtml.catch(() => { indexHtml = null; });
+  }
+  return indexHtml;
+};
+
+// Profile images are admin-entered URLs; only expected image hosts are fetched
+const isAvatarUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && parsed.port === '' && AVATAR_HOSTS.includes(parsed.hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Inline the avatar as a data: URI so the card is self-contained. Failures
+// just mean the card falls back to the username's initial.
+const fetchAvatarDataUri = async (url) => {
+  if (!url || !isAvatarUrl(url)) return null;
+
+  const cached = avatarCache.get(url);
+  if (cached && Date.now() - cached.fetchedAt < AVATAR_CACHE_TTL) return cached.dataUri;
+
+  let dataUri = null;
+  try {
+    // A redirect could point anywhere, including internal addresses
+    const response = await fetch(url, {
+      redirect: 'error',
+      signal: AbortSignal.timeout(AVATAR_FETCH_TIMEOUT)
+    });
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+    const length = parseInt(response.headers.get('content-length')) || 0;
+    if (response.ok && AVATAR_TYPES.includes(type) && length <= AVATAR_MAX_BYTES) {
+      const buffer = Buffer.from(await response.arrayBuffer());
+      if (buffer.length <= AVATAR_MAX_BYTES) {
+        dataUri = `data:${type};base64,${buffer.toString('base64')}`;
+      }
+    }
+  } catch (error) {
+    console.warn('Share card avatar fetch failed:', error.message);
+  }
+
+  // Oldest entry goes first once the cache is full
+  if (avatarCache.size >= AVATAR_CACHE_SIZE) {
+    avatarCache.delete(avatarCache.keys().next().value);
+  }
+  avatarCache.set(url, { dataUri, fetchedAt: Date.now() });
+  return dataUri;
+};
+
+const shareCardData = async (profile) => {
+  const [rank, avatar] = await Promise.all([
+    getAllTimeRank(profile),
+    fetchAvatarDataUri(profile.image)
+  ]);
+  return {
+    username: profile.username,
+    handle: profile.handle || (profile.twitterHandle ? `@${profile.twitterHandle}` : ''),
+    avatar,
+    rank: profile.archivedAt ? null : rank,
+    ...calculateVerdictPercentages(profile.chadVotes, profile.jeetVotes)
+  };
+};
+
+// PNG where the rasterizer is installed; the profile page links whichever
+// format shareCardFormat() picks
+app.get(['/api/og/:username.png', '/api/og/:username.svg'], async (req, res) => {
+  try {
+    const profile = await Profile.findOne({ username: req.params.username });
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const format = req.path.endsWith('.png') ? 'png' : 'svg';
+    const card = renderProfileCardImage(await shareCardData(profile), format);
+    res.set({
+      'Content-Type': card.type,
+      'Cache-Control': `public, max-age=${SHARE_CARD_MAX_AGE}`
+    });
+    res.send(card.body);
+  } catch (error) {
+    console.error('Share card error:', error);
+    res.status(500).json({ error: 'Failed to render share card' });
+  }
+});
+
+// The app itself, with this profile's preview tags. Unknown usernames fall
+// through to the plain app, which shows its own not-found state.
+app.get('/profile/:username', async (req, res, next) => {
+  try {
+    const profile = await Profile.findOne({ username: req.params.username });
+    if (!profile) return next();
+
+    const encoded = encodeURIComponent(profile.username);
+    const { chadPercentage, jeetPercentage } = calculateVerdictPercentages(profile.chadVotes, profile.jeetVotes);
+    const rank = profile.archivedAt ? null : await getAllTimeRank(profile);
+
+    const meta = renderProfileMeta({
+      title: `${profile.username}${profile.handle ? ` (${profile.handle})` : ''} on JEETMASH`,
+      description: `${chadPercentage}% Chad, ${jeetPercentage}% Jeet${rank ? ` · Rank #${rank}` : ''}. Cast your verdict on JEETMASH.`,
+      url: `${PUBLIC_URL}/profile/${encoded}`,
+      image: `${PUBLIC_URL}/api/og/${encoded}.${shareCardFormat()}`,
+      imageFormat: shareCardFormat()
+    });
+
+    const html = (await getIndexHtml()).replace('<title>JEETMASH</title>', meta);
+    res.set('Cache-Control', `public, max-age=${SHARE_CARD_MAX_AGE}`);
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Profile page error:', error);
+    next();
+  }
+});
+
+// ==================== EMBEDS ====================
+// Widgets for other sites: /embed/* pages are framed by embed.js. These are
+// the only responses that may be framed or loaded cross-origin.
+
+const EMBED_FRAME_ANCESTORS = process.env.EMBED_FRAME_ANCESTORS
+  ? process.env.EMBED_FRAME_ANCESTORS.split(',')
+  : ['*'];
+const EMBED_MAX_AGE = 60;
+
+const embedSecurity = [
+  helmet.contentSecurityPolicy({
+    directives: { ...CSP_DIRECTIVES, frameAncestors: EMBED_FRAME_ANCESTORS }
+  }),
+  (req, res, next) => {
+    res.removeHeader('X-Frame-Options');
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    next();
+  }
+];
+
+app.get('/embed.js', embedSecurity, (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/embed.js'), { maxAge: '1h' });
+});
+
+app.get('/embed/battle', embedSecurity, async (req, res) => {
+  try {
+    const pair = await findBattlePair(null, []);
+    if (!pair) {
+      return res.status(404).type('html').send(renderEmbedError('No battles right now'));
+    }
+
+    // A fresh pair on every load
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(renderBattleEmbed(Math.random() < 0.5 ? pair : pair.reverse()));
+  } catch (error) {
+    console.error('Battle embed error:', error);
+    res.status(500).type('html').send(renderEmbedError('Failed to load battle'));
+  }
+});
+
+app.get('/embed/profile/:username', embedSecurity, async (req, res) => {
+  try {
+    const profile = await Profile.findOne({ username: req.params.username, ...ACTIVE_PROFILE });
+    if (!profile) {
+      return res.status(404).type('html').send(renderEmbedError('Profile not found'));
+    }
+
+    const rank = await getAllTimeRank(profile);
+    const percentages = calculateVerdictPercentages(profile.chadVotes, profile.jeetVotes);
+
+    res.set('Cache-Control', `public, max-age=${EMBED_MAX_AGE}`);
+    res.type('html').send(renderProfileEmbed(profile, { rank, ...percentages }));
+  } catch (error) {
+    console.error('Profile embed error:', error);
+    res.status(500).type('html').send(renderEmbedError('Failed to load profile'));
+  }
+});
+
 // ==================== SERVE STATIC FILES ==================== 
 // Serve static files from frontend directory
 app.use(express.static(path.join(__dirname, '../frontend')));
 
-// Apply error handlers BEFORE catch-all route
-app.use(notFound);
-app.use(errorHandler);
-
-// Handle client-side routing - must be the LAST route
-app.get('*', (req, res) => {
+// Handle client-side routing: any other page URL gets the app, which routes
+// it in the browser. Unknown API paths still fall through to a 404.
+app.get(/^\/(?!api\/).*/, (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend/index.html'));
 });
 
+// Error handlers go last
+app.use(notFound);
+app.use(errorHandler);
+
 // Start server with graceful shutdown
 const PORT = process.env.PORT || 3001;
-const server = app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
-  console.log(`🏥 Health check available at http://localhost:${PORT}/health`);
-  console.log(`📡 API available at http://localhost:${PORT}/api`);
-});
+let server;
 
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   console.log(`\n🛑 ${signal} received. Starting graceful shutdown...`);
   
+  // Live streams never finish on their own; end them so close() can complete
+  streamClients.forEach(client => client.end());
+  
   server.close((err) => {
     if (err) {
       console.error('❌ Error during server close:', err);
@@ -735,20 +3385,33 @@ const gracefulShutdown = (signal) => {
   }, 10000);
 };
 
-// Listen for shutdown signals
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+const startServer = () => {
+  server = app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
+    console.log(`🏥 Health check available at http://localhost:${PORT}/health`);
+    console.log(`📡 API available at http://localhost:${PORT}/api`);
+  });
+
+  // Listen for shutdown signals
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (err) => {
-  console.error('❌ Uncaught Exception:', err);
-  gracefulShutdown('UNCAUGHT_EXCEPTION');
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (err) => {
+    console.error('❌ Uncaught Exception:', err);
+    gracefulShutdown('UNCAUGHT_EXCEPTION');
+  });
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err) => {
-  console.error('❌ Unhandled Promise Rejection:', err);
-  gracefulShutdown('UNHANDLED_REJECTION');
-});
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (err) => {
+    console.error('❌ Unhandled Promise Rejection:', err);
+    gracefulShutdown('UNHANDLED_REJECTION');
+  });
+};
+
+// Tests require the app and listen on their own port
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
\ No newline at end of file
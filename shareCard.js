@@ -0,0 +1,140 @@
+// shareCard.js - Open Graph cards for profile links, drawn as SVG in-process
+// and rasterized to PNG, since X, Facebook and Telegram don't render SVG
+// previews
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+const COLORS = {
+  background: '#181a1f',
+  panel: '#15171c',
+  primary: '#ff0000',
+  chad: '#22c55e',
+  text: '#ffffff',
+  textSecondary: '#bebdbd',
+  textTertiary: '#807f7f'
+};
+
+const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+// Long names are cut rather than measured; SVG can't wrap text
+const truncate = (text, max) => {
+  text = String(text || '');
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+};
+
+// `avatar` is a data: URI (the rasterizer never loads external URLs);
+// without one the username's initial is drawn instead, since servers rarely
+// have a color emoji font for the profile's emoji
+const renderProfileCard = ({ username, handle, avatar, chadPercentage, jeetPercentage, rank }) => {
+  const avatarX = 100;
+  const avatarY = 155;
+  const avatarSize = 280;
+  const textX = 450;
+  const barWidth = 650;
+  const chadWidth = Math.round(barWidth * chadPercentage / 100);
+
+  const avatarMarkup = avatar
+    ? `<image href="${escapeXml(avatar)}" x="${avatarX}" y="${avatarY}" width="${avatarSize}" height="${avatarSize}" preserveAspectRatio="xMidYMid slice" clip-path="url(#avatar-clip)"/>`
+    : `<text x="${avatarX + avatarSize / 2}" y="${avatarY + avatarSize / 2 + 45}" font-size="130" font-weight="700" fill="${COLORS.primary}" text-anchor="middle">${escapeXml(Array.from(String(username || '?').toUpperCase())[0])}</text>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+  <defs>
+    <clipPath id="avatar-clip"><circle cx="${avatarX + avatarSize / 2}" cy="${avatarY + avatarSize / 2}" r="${avatarSize / 2}"/></clipPath>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="${COLORS.background}"/>
+  <rect x="40" y="40" width="${CARD_WIDTH - 80}" height="${CARD_HEIGHT - 80}" rx="24" fill="${COLORS.panel}" stroke="${COLORS.primary}" stroke-opacity="0.3" stroke-width="2"/>
+  <circle cx="${avatarX + avatarSize / 2}" cy="${avatarY + avatarSize / 2}" r="${avatarSize / 2}" fill="${COLORS.background}"/>
+  ${avatarMarkup}
+  <circle cx="${avatarX + avatarSize / 2}" cy="${avatarY + avatarSize / 2}" r="${avatarSize / 2}" fill="none" stroke="${COLORS.primary}" stroke-width="6"/>
+  <g font-family="Orbitron, 'Segoe UI', Arial, sans-serif">
+    <text x="${textX}" y="200" font-size="60" font-weight="700" fill="${COLORS.text}">${escapeXml(truncate(username, 20))}</text>
+    <text x="${textX}" y="250" font-size="32" fill="${COLORS.textSecondary}">${escapeXml(truncate(handle, 32))}</text>
+    <text x="${textX}" y="320" font-size="36" font-weight="700" fill="${COLORS.primary}">${rank ? `RANK #${rank}` : 'UNRANKED'}</text>
+    <rect x="${textX}" y="370" width="${barWidth}" height="36" rx="18" fill="${COLORS.primary}"/>
+    <rect x="${textX}" y="370" width="${chadWidth}" height="36" rx="18" fill="${COLORS.chad}"/>
+    <text x="${textX}" y="450" font-size="30" font-weight="700" fill="${COLORS.chad}">${chadPercentage}% CHAD</text>
+    <text x="${textX + barWidth}" y="450" font-size="30" font-weight="700" fill="${COLORS.primary}" text-anchor="end">${jeetPercentage}% JEET</text>
+    <text x="${CARD_WIDTH - 80}" y="${CARD_HEIGHT - 75}" font-size="34" font-weight="700" text-anchor="end"><tspan fill="${COLORS.primary}">JEET</tspan><tspan fill="${COLORS.text}">MASH</tspan></text>
+  </g>
+</svg>`;
+};
+
+const CARD_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+// The rasterizer is a native module, loaded on first use. Where it isn't
+// installed cards are served as SVG, which still works for links opened in
+// a browser but not for most previews.
+let resvg;
+const loadResvg = () => {
+  if (resvg === undefined) {
+    try {
+      resvg = require('@resvg/resvg-js');
+    } catch (error) {
+      console.warn('@resvg/resvg-js is not installed; share cards are served as SVG');
+      resvg = null;
+    }
+  }
+  return resvg;
+};
+
+// 'png' when cards can be rasterized here, otherwise 'svg'
+const shareCardFormat = () => (loadResvg() ? 'png' : 'svg');
+
+// The card as { type, body } in `format`. PNG text uses the fonts installed
+// on the server, falling back to DejaVu Sans (shipped with most Linux images).
+const renderProfileCardImage = (card, format = shareCardFormat()) => {
+  const svg = renderProfileCard(card);
+  if (format !== 'png' || !loadResvg()) {
+    return { type: `${CARD_TYPES.svg}; charset=utf-8`, body: svg };
+  }
+
+  const image = new (loadResvg().Resvg)(svg, {
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+  });
+  return { type: CARD_TYPES.png, body: image.render().asPng() };
+};
+
+// og:/twitter: tags for a profile page. All values are escaped here.
+const renderProfileMeta = ({ title, description, url, image, imageFormat = 'png' }) => {
+  const tags = [
+    ['property', 'og:type', 'profile'],
+    ['property', 'og:site_name', 'JEETMASH'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['property', 'og:image', image],
+    ['property', 'og:image:type', CARD_TYPES[imageFormat]],
+    ['property', 'og:image:width', CARD_WIDTH],
+    ['property', 'og:image:height', CARD_HEIGHT],
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:site', '@jeetmash'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+    ['name', 'description', description]
+  ];
+
+  return [
+    `<title>${escapeXml(title)}</title>`,
+    `<link rel="canonical" href="${escapeXml(url)}">`,
+    ...tags.map(([attribute, key, value]) => `<meta ${attribute}="${key}" content="${escapeXml(value)}">`)
+  ].join('\n    ');
+};
+
+module.exports = {
+  escapeXml,
+  renderProfileCard,
+  shareCardFormat,
+  renderProfileCardImage,
+  renderProfileMeta
+};
@@ -0,0 +1,129 @@
+// twitterOAuth.js - Linking X accounts with OAuth 2.0 authorization code + PKCE
+
+const crypto = require('crypto');
+
+// How long a started link may take before its state stops being accepted
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
+
+// OAuth 2.0 (PKCE) client for X. All endpoints are configurable so a local
+// mock authorization server can stand in for X in development and tests.
+const createTwitterOAuthProvider = ({
+  clientId,
+  clientSecret,
+  redirectUri,
+  authorizeUrl = 'https://twitter.com/i/oauth2/authorize',
+  tokenUrl = 'https://api.twitter.com/2/oauth2/token',
+  userInfoUrl = 'https://api.twitter.com/2/users/me',
+  scopes = ['tweet.read', 'users.read']
+}) => ({
+  isConfigured: Boolean(clientId && redirectUri),
+
+  buildAuthorizeUrl({ state, codeChallenge }) {
+    const url = new URL(authorizeUrl);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes.join(' '),
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+    return url.toString();
+  },
+
+  async exchangeCode({ code, codeVerifier }) {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (clientSecret) {
+      headers.Authorization = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+    }
+
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers,
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        code_verifier: codeVerifier
+      })
+    });
+
+    const data = await response.json();
+    if (!response.ok || !data.access_token) {
+      throw new Error(data.error_description || data.error || 'Token exchange failed');
+    }
+    return data.access_token;
+  },
+
+  async fetchUser(accessToken) {
+    const response = await fetch(userInfoUrl, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    const data = await response.json();
+    if (!response.ok || !data.data?.id) {
+      throw new Error('Failed to fetch X account');
+    }
+    return { id: data.data.id, username: data.data.username };
+  }
+});
+
+// What the browser that started a link keeps in a cookie. Only the hash is
+// stored there, so the cookie can't be turned back into the state.
+const hashState = (state) => crypto.createHash('sha256').update(state).digest('base64url');
+
+const matchesStateHash = (state, stateHash) => {
+  if (typeof state !== 'string' || typeof stateHash !== 'string') return false;
+  const expected = Buffer.from(hashState(state));
+  const actual = Buffer.from(stateHash);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// One link attempt from start to callback. `states` persists pending links:
+// save({ state, userId, codeVerifier, expiresAt }) and consume(state), which
+// must remove and return the pending link (or null) atomically.
+const createTwitterLinkFlow = ({ provider, states, stateTtl = OAUTH_STATE_TTL, now = Date.now }) => ({
+  // Returns the X authorize URL to send the user to and the state hash the
+  // starting browser must present on the callback
+  async start(userId) {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    const state = crypto.randomBytes(16).toString('hex');
+
+    await states.save({ state, userId, codeVerifier, expiresAt: new Date(now() + stateTtl) });
+    return { url: provider.buildAuthorizeUrl({ state, codeChallenge }), stateHash: hashState(state) };
+  },
+
+  // Resolves { status: 'mismatch' | 'expired' | 'denied' } or
+  // { status: 'authorized', userId, account }. `stateHash` comes from the
+  // finishing browser; without the one start() issued, the callback was
+  // opened somewhere else (e.g. a link sent to someone) and is refused.
+  // Unknown, replayed and expired states all count as expired.
+  async complete({ code, state, error }, stateHash) {
+    if (!matchesStateHash(state, stateHash)) {
+      return { status: 'mismatch' };
+    }
+
+    const pending = typeof state === 'string' && await states.consume(state);
+    if (!pending || new Date(pending.expiresAt).getTime() <= now()) {
+      return { status: 'expired' };
+    }
+
+    if (error || typeof code !== 'string') {
+      return { status: 'denied' };
+    }
+
+    const accessToken = await provider.exchangeCode({ code, codeVerifier: pending.codeVerifier });
+    const account = await provider.fetchUser(accessToken);
+    return { status: 'authorized', userId: pending.userId, account };
+  }
+});
+
+module.exports = {
+  OAUTH_STATE_TTL,
+  hashState,
+  createTwitterOAuthProvider,
+  createTwitterLinkFlow
+};
@@ -29,6 +29,143 @@ class WalletManager {
             // Verify the connection is still valid
             this.verifyConnection();
         }
+        
+        this.handleTwitterLinkResult();
+    }
+
+    // Show the outcome of an X account link after the OAuth redirect back
+    handleTwitterLinkResult() {
+        const params = new URLSearchParams(window.location.search);
+        const status = params.get('twitter');
+        if (!status) return;
+        
+        const messages = {
+            linked: ['X account linked!', 'success'],
+            denied: ['X account linking was cancelled', 'warning'],
+            taken: ['That X account is already linked to another wallet', 'error'],
+            expired: ['X link request expired. Please try again.', 'warning'],
+            mismatch: ['Finish linking X in the browser where you started it', 'error'],
+            error: ['Failed to link X account', 'error']
+        };
+        const [message, type] = messages[status] || messages.error;
+        this.showNotification(message, type);
+        
+        params.delete('twitter');
+        const query = params.toString();
+        window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+    }
+
+    // Send the browser to X to authorize linking the account
+    async linkTwitter() {
+        try {
+            const { url } = await window.apiService.startTwitterLink();
+            window.location.href = url;
+        } catch (error) {
+            console.error('X link failed:', error);
+            this.showNotification('Failed to start X account linking', 'error');
+        }
+    }
+
+    // Fill in the X account row of the wallet menu
+    async loadTwitterStatus() {
+        const statusElement = document.getElementById('wallet-twitter-status');
+        if (!statusElement) return;
+        
+        try {
+            const user = await window.apiService.getCurrentUser();
+            if (user?.twitterHandle) {
+                const linked = document.createElement('span');
+                linked.className = 'twitter-linked';
+                linked.textContent = `@${user.twitterHandle} ✅`;
+                statusElement.replaceChildren(linked);
+            } else {
+                statusElement.innerHTML = `
+                    <button class="link-twitter-btn" onclick="window.walletManager.linkTwitter()">Link X Account</button>
+                `;
+            }
+        } catch (error) {
+            statusElement.textContent = 'Unavailable';
+        }
+    }
+
+    // Fill in the submissions section of the wallet menu
+    async loadSubmissions() {
+        const listElement = document.getElementById('wallet-submissions-list');
+        if (!listElement) return;
+        
+        try {
+            const submissions = await window.apiService.getMySubmissions();
+            if (submissions.length === 0) {
+                listElement.innerHTML = '<div class="submission-empty">No submissions yet</div>';
+                return;
+            }
+            
+            const labels = { pending: '⏳ Pending', approved: '✅ Approved', rejected: '❌ Rejected' };
+            
+            // Handles and reviewer notes are user input: set them as text only
+            const createElement = (tag, className, text) => {
+                const element = document.createElement(tag);
+                element.className = className;
+                element.textContent = text;
+                return element;
+            };
+            
+            listElement.replaceChildren(...submissions.map(submission => {
+                const item = createElement('div', 'submission-item', '');
+                item.append(
+                    createElement('span', 'submission-handle', `@${submission.username}`),
+                    createElement('span', `submission-status ${labels[submission.status] ? submission.status : ''}`, labels[submission.status] || submission.status)
+                );
+                if (submission.reviewNote) {
+                    item.append(createElement('div', 'submission-note', submission.reviewNote));
+                }
+                return item;
+            }));
+        } catch (error) {
+            listElement.textContent = 'Unavailable';
+        }
+    }
+
+    // Toggle the "Submit a profile" form in the wallet menu
+    toggleSubmissionForm() {
+        const form = document.getElementById('wallet-submission-form');
+        if (!form) return;
+        
+        const isHidden = form.style.display === 'none';
+        form.style.display = isHidden ? 'flex' : 'none';
+        if (isHidden) {
+            form.querySelector('input[name="handle"]').focus();
+        }
+    }
+
+    async submitProfile(form) {
+        const handle = form.handle.value.trim();
+        const bio = form.bio.value.trim();
+        const evidenceLinks = form.evidence.value
+            .split(/\s+/)
+            .map(link => link.trim())
+            .filter(Boolean);
+        
+        if (!handle || evidenceLinks.length === 0) {
+            this.showNotification('Add a handle and at least one evidence link', 'warning');
+            return;
+        }
+        
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        
+        try {
+            await window.apiService.submitProfile(handle, bio || undefined, evidenceLinks);
+            form.reset();
+            form.style.display = 'none';
+            this.showNotification('Profile submitted for review!', 'success');
+            this.loadSubmissions();
+        } catch (error) {
+            console.error('Profile submission failed:', error);
+            this.showNotification(error.message || 'Failed to submit profile', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
     }
 
     async verifyConnection() {
@@ -88,15 +225,23 @@ class WalletManager {
                     
                     // Save connection
                     this.walletAddress = address;
-                    this.isConnected = true;
                     this.provider = provider;
                     
+                    // Sign in with the backend before treating the wallet as connected
+                    const authenticated = await this.authenticateWithBackend(address);
+                    if (!authenticated) {
+                        this.walletAddress = null;
+                        this.provider = null;
+                        provider.disconnect?.();
+                        this.showNotification('Sign-in cancelled. Please sign the message to connect.', 'warning');
+                        return;
+                    }
+                    
+                    this.isConnected = true;
+                    
                     // Store in localStorage
                     localStorage.setItem('walletAddress', address);
                     
-                    // Try backend auth
-                    this.authenticateWithBackend(address);
-                    
                     // Update UI
                     this.updateUI();
                     this.showNotification('Wallet connected successfully!', 'success');
@@ -128,22 +273,44 @@ class WalletManager {
         }
     }
 
+    // Sign the server-issued login message and exchange it for an API token
     async authenticateWithBackend(address) {
         try {
-            if (window.apiService && window.apiService.authenticateWallet) {
-                const authResponse = await window.apiService.authenticateWallet(address);
-                
-                if (authResponse && authResponse.user) {
-                    this.userId = authResponse.user.id;
-                    localStorage.setItem('userId', authResponse.user.id);
-                }
+            if (!window.apiService || !this.provider?.signMessage) {
+                return false;
             }
+            
+            const { message } = await window.apiService.getLoginNonce(address);
+            const encodedMessage = new TextEncoder().encode(message);
+            const { signature } = await this.provider.signMessage(encodedMessage, 'utf8');
+            
+            const authResponse = await window.apiService.authenticateWallet(
+                address,
+                this.encodeSignature(signature),
+                message
+            );
+            
+            if (authResponse && authResponse.user) {
+                this.userId = authResponse.user.id;
+                localStorage.setItem('userId', authResponse.user.id);
+            }
+            
+            return Boolean(authResponse && authResponse.token);
         } catch (error) {
             console.error('Backend auth failed:', error);
-            // Don't show error - wallet still works locally
+            return false;
         }
     }
 
+    // Base64-encode the raw signature bytes returned by Phantom
+    encodeSignature(signature) {
+        let binary = '';
+        signature.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
     disconnectWallet() {
         // Clear connection
         this.walletAddress = null;
@@ -154,6 +321,11 @@ class WalletManager {
         localStorage.removeItem('walletAddress');
         localStorage.removeItem('userId');
         
+        // End the server session too, so the tokens can't be reused
+        window.apiService?.logout().catch(error => {
+            console.error('Logout failed:', error);
+        });
+        
         // Disconnect from Phantom
         if (window.solana && window.solana.disconnect) {
             window.solana.disconnect();
@@ -167,6 +339,25 @@ class WalletManager {
         this.hideWalletMenu();
     }
 
+    // Revoke every session of this wallet (e.g. after a device was compromised)
+    async logoutAllDevices() {
+        let succeeded = true;
+        try {
+            await window.apiService?.logoutAll();
+        } catch (error) {
+            console.error('Logout all failed:', error);
+            succeeded = false;
+        }
+        
+        this.disconnectWallet();
+        
+        if (succeeded) {
+            this.showNotification('Signed out on all devices', 'success');
+        } else {
+            this.showNotification('Failed to sign out other devices', 'error');
+        }
+    }
+
     // Check if user can vote
     canVote() {
         if (!this.isConnected) {
@@ -387,11 +578,31 @@ class WalletManager {
                             <span class="status-connected">Connected</span>
                         </div>
                     </div>
+                    <div class="wallet-twitter">
+                        <label>X Account</label>
+                        <div class="wallet-twitter-status" id="wallet-twitter-status">Loading...</div>
+                    </div>
+                    <div class="wallet-submissions">
+                        <div class="wallet-submissions-header">
+                            <label>Your Submissions</label>
+                            <button class="submit-profile-btn" onclick="window.walletManager.toggleSubmissionForm()">➕ Submit a Profile</button>
+                        </div>
+                        <form class="submission-form" id="wallet-submission-form" style="display: none;" onsubmit="event.preventDefault(); window.walletManager.submitProfile(this);">
+                            <input name="handle" type="text" maxlength="16" placeholder="@handle" autocomplete="off">
+                            <textarea name="bio" maxlength="280" placeholder="Why are they a jeet? (optional)"></textarea>
+                            <textarea name="evidence" placeholder="Evidence links (https://...), one per line"></textarea>
+                            <button type="submit">Submit for Review</button>
+                        </form>
+                        <div class="wallet-submissions-list" id="wallet-submissions-list">Loading...</div>
+                    </div>
                 </div>
                 <div class="wallet-actions">
                     <button class="wallet-action-btn disconnect" onclick="window.walletManager.disconnectWallet()">
                         <span>🔌</span> Disconnect Wallet
                     </button>
+                    <button class="wallet-action-btn logout-all" onclick="window.walletManager.logoutAllDevices()">
+                        <span>🔒</span> Sign Out All Devices
+                    </button>
                 </div>
             </div>
         `;
@@ -399,6 +610,9 @@ class WalletManager {
         document.body.appendChild(backdrop);
         document.body.appendChild(menu);
         
+        this.loadTwitterStatus();
+        this.loadSubmissions();
+        
         // Animate in
         requestAnimationFrame(() => {
             backdrop.classList.add('active');
@@ -784,6 +998,150 @@ const walletStyles = `
     color: #00ff00 !important;
 }
 
+.wallet-twitter {
+    margin-bottom: 24px;
+}
+
+.wallet-twitter label {
+    display: block;
+    color: #666;
+    font-size: 0.9em;
+    margin-bottom: 8px;
+}
+
+.twitter-linked {
+    color: #ccc;
+    font-weight: 600;
+}
+
+.link-twitter-btn {
+    width: 100%;
+    padding: 12px;
+    background: #000;
+    color: white;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+    border-radius: 8px;
+    font-weight: 600;
+    cursor: pointer;
+    transition: all 0.2s ease;
+}
+
+.link-twitter-btn:hover {
+    border-color: rgba(255, 255, 255, 0.4);
+    transform: translateY(-1px);
+}
+
+.wallet-submissions {
+    margin-bottom: 24px;
+}
+
+.wallet-submissions-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    margin-bottom: 8px;
+}
+
+.wallet-submissions-header label {
+    color: #666;
+    font-size: 0.9em;
+}
+
+.submit-profile-btn {
+    background: none;
+    border: 1px solid rgba(255, 0, 0, 0.3);
+    color: #ff6666;
+    border-radius: 6px;
+    padding: 4px 10px;
+    font-size: 0.8em;
+    font-weight: 600;
+    cursor: pointer;
+    transition: all 0.2s ease;
+}
+
+.submit-profile-btn:hover {
+    background: rgba(255, 0, 0, 0.1);
+}
+
+.submission-form {
+    flex-direction: column;
+    gap: 8px;
+    margin-bottom: 12px;
+}
+
+.submission-form input,
+.submission-form textarea {
+    width: 100%;
+    padding: 10px;
+    background: rgba(255, 255, 255, 0.05);
+    border: 1px solid rgba(255, 255, 255, 0.1);
+    border-radius: 8px;
+    color: white;
+    font-family: inherit;
+    font-size: 0.9em;
+    box-sizing: border-box;
+}
+
+.submission-form textarea {
+    min-height: 60px;
+    resize: vertical;
+}
+
+.submission-form button {
+    padding: 10px;
+    background: #ff0000;
+    color: white;
+    border: none;
+    border-radius: 8px;
+    font-weight: 600;
+    cursor: pointer;
+}
+
+.submission-form button:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+}
+
+.wallet-submissions-list {
+    color: #ccc;
+    font-size: 0.9em;
+}
+
+.submission-item {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: space-between;
+    padding: 8px 0;
+    border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+}
+
+.submission-handle {
+    font-weight: 600;
+}
+
+.submission-status.pending {
+    color: #ffaa00;
+}
+
+.submission-status.approved {
+    color: #00ff00;
+}
+
+.submission-status.rejected {
+    color: #ff6666;
+}
+
+.submission-note {
+    width: 100%;
+    margin-top: 4px;
+    color: #888;
+    font-size: 0.85em;
+}
+
+.submission-empty {
+    color: #666;
+}
+
 .wallet-action-btn {
     width: 100%;
     padding: 14px;
@@ -809,6 +1167,18 @@ const walletStyles = `
     transform: translateY(-1px);
 }
 
+.wallet-action-btn.logout-all {
+    margin-top: 12px;
+    background: rgba(255, 255, 255, 0.05);
+    color: #ccc;
+    border: 1px solid rgba(255, 255, 255, 0.1);
+}
+
+.wallet-action-btn.logout-all:hover {
+    background: rgba(255, 255, 255, 0.1);
+    transform: translateY(-1px);
+}
+
 /* ==================== SUBTLE WARNING ==================== */
 .wallet-warning-subtle {
     position: fixed;
@@ -0,0 +1,84 @@
+// walletAuth.js - Sign-in-with-Solana messages and wallet signature checks
+
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Decode a base58 string (Solana public keys) into a Buffer, or null if invalid
+const decodeBase58 = (input) => {
+  if (typeof input !== 'string' || input.length === 0) {
+    return null;
+  }
+
+  const bytes = [];
+  for (const char of input) {
+    const value = BASE58_ALPHABET.indexOf(char);
+    if (value === -1) {
+      return null;
+    }
+
+    let carry = value;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  // Each leading '1' encodes a leading zero byte
+  for (const char of input) {
+    if (char !== '1') break;
+    bytes.push(0);
+  }
+
+  return Buffer.from(bytes.reverse());
+};
+
+// Build the Sign-In-With-Solana style message a wallet has to sign to log in
+const buildLoginMessage = ({ domain, walletAddress, nonce, issuedAt, expiresAt }) => [
+  `${domain} wants you to sign in with your Solana account:`,
+  walletAddress,
+  '',
+  'Sign in to JEETMASH',
+  '',
+  `Nonce: ${nonce}`,
+  `Issued At: ${new Date(issuedAt).toISOString()}`,
+  `Expiration Time: ${new Date(expiresAt).toISOString()}`
+].join('\n');
+
+// Verify a base64 ed25519 signature of `message` against a base58 wallet public key
+const verifyWalletSignature = (walletAddress, message, signature) => {
+  const publicKey = decodeBase58(walletAddress);
+  if (!publicKey || publicKey.length !== 32) {
+    return false;
+  }
+
+  if (typeof signature !== 'string' || typeof message !== 'string') {
+    return false;
+  }
+
+  const signatureBytes = Buffer.from(signature, 'base64');
+  if (signatureBytes.length !== 64) {
+    return false;
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: publicKey.toString('base64url') },
+      format: 'jwk'
+    });
+    return crypto.verify(null, Buffer.from(message, 'utf8'), key, signatureBytes);
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  decodeBase58,
+  buildLoginMessage,
+  verifyWalletSignature
+};